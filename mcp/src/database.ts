@@ -1,6 +1,30 @@
-import { PrismaClient as CustomerPrismaClient } from '../../node_modules/.prisma/customer-client/index.js';
+import {
+  PrismaClient as CustomerPrismaClient,
+  Prisma as CustomerPrisma,
+} from '../../node_modules/.prisma/customer-client/index.js';
 import { PrismaClient as CampaignPrismaClient } from '../../node_modules/.prisma/campaign-client/index.js';
 import { error } from 'console';
+import {
+  CAMPAIGN_STATUS_TRANSITIONS,
+  normalizeCampaignStatus,
+  validateMessageTemplate,
+} from './schemas.js';
+
+// Order status counted in a customer's aggregates, as in the Customer service's customerStatsService
+const COUNTED_ORDER_STATUS = 'COMPLETED';
+
+// Customer columns carried by a customer_mv_upsert event
+const CUSTOMER_MV_SELECT = {
+  customer_id: true,
+  tenant_id: true,
+  name: true,
+  email: true,
+  total_spend: true,
+  total_visits: true,
+  last_order_at: true,
+  status: true,
+  version: true,
+} as const;
 
 // Initialize Prisma clients
 const customerPrisma = new CustomerPrismaClient();
@@ -10,10 +34,13 @@ const campaignPrisma = new CampaignPrismaClient();
 export class DatabaseService {
   private customerDB: CustomerPrismaClient;
   private campaignDB: CampaignPrismaClient;
+  // Tenant (workspace) every query is scoped to; one MCP server serves one tenant
+  private tenantId: string;
 
   constructor() {
     this.customerDB = customerPrisma;
     this.campaignDB = campaignPrisma;
+    this.tenantId = process.env.MCP_TENANT_ID || 'default';
   }
 
   // Customer operations
@@ -26,17 +53,23 @@ export class DatabaseService {
     status?: string;
   }) {
     try {
-      const customer = await this.customerDB.customers.create({
-        data: {
-          name: data.name,
-          email: data.email,
-          phone: data.phone || null,
-          total_spend: data.total_spend || 0.0,
-          total_visits: data.total_visits || 0,
-          status: data.status || 'ACTIVE',
-        },
+      // The customers_mv event commits with the customer, as in the Customer service
+      return await this.customerDB.$transaction(async (tx) => {
+        const customer = await tx.customers.create({
+          data: {
+            tenant_id: this.tenantId,
+            name: data.name,
+            email: data.email,
+            phone: data.phone || null,
+            total_spend: data.total_spend || 0.0,
+            total_visits: data.total_visits || 0,
+            status: data.status || 'ACTIVE',
+          },
+        });
+
+        await this.recordCustomerMVUpsert(tx, customer, 'created');
+        return customer;
       });
-      return customer;
     } catch (error: any) {
       throw new Error(`Failed to create customer: ${error.message}`);
     }
@@ -45,7 +78,7 @@ export class DatabaseService {
   async getCustomerByEmail(email: string) {
     try {
       const customer = await this.customerDB.customers.findUnique({
-        where: { email },
+        where: { tenant_id_email: { tenant_id: this.tenantId, email } },
         include: {
           orders: {
             orderBy: { created_at: 'desc' },
@@ -62,7 +95,7 @@ export class DatabaseService {
   async getCustomerById(customerId: string) {
     try {
       const customer = await this.customerDB.customers.findUnique({
-        where: { customer_id: customerId },
+        where: { customer_id: customerId, tenant_id: this.tenantId },
         include: {
           orders: {
             orderBy: { created_at: 'desc' },
@@ -88,14 +121,19 @@ export class DatabaseService {
     }
   ) {
     try {
-      const customer = await this.customerDB.customers.update({
-        where: { customer_id: customerId },
-        data: {
-          ...data,
-          updated_at: new Date(),
-        },
+      return await this.customerDB.$transaction(async (tx) => {
+        const customer = await tx.customers.update({
+          where: { customer_id: customerId, tenant_id: this.tenantId },
+          data: {
+            ...data,
+            updated_at: new Date(),
+            version: { increment: 1 },
+          },
+        });
+
+        await this.recordCustomerMVUpsert(tx, customer, 'updated');
+        return customer;
       });
-      return customer;
     } catch (error: any) {
       throw new Error(`Failed to update customer: ${error.message}`);
     }
@@ -108,7 +146,7 @@ export class DatabaseService {
     limit?: number;
   }) {
     try {
-      const whereClause: any = {};
+      const whereClause: any = { tenant_id: this.tenantId };
 
       if (query.name) {
         whereClause.name = {
@@ -171,36 +209,46 @@ export class DatabaseService {
         throw new Error('Customer ID or email is required');
       }
 
-      // Create the order
-      const order = await this.customerDB.orders.create({
-        data: {
-          customer_id: customerId,
-          order_amount: data.order_amount,
-          order_status: data.order_status || 'COMPLETED',
-        },
-        include: {
-          customers: {
-            select: {
-              name: true,
-              email: true,
+      // A customer id from another tenant must not receive the order
+      const customer = await this.customerDB.customers.findUnique({
+        where: { customer_id: customerId, tenant_id: this.tenantId },
+        select: { customer_id: true },
+      });
+      if (!customer) {
+        throw new Error(`Customer with ID ${customerId} not found`);
+      }
+
+      const orderCustomerId = customerId;
+
+      // The order, the customer's updated stats and the customers_mv event commit together
+      return await this.customerDB.$transaction(async (tx) => {
+        const order = await tx.orders.create({
+          data: {
+            tenant_id: this.tenantId,
+            customer_id: orderCustomerId,
+            order_amount: data.order_amount,
+            order_status: data.order_status || 'COMPLETED',
+          },
+          include: {
+            customers: {
+              select: {
+                name: true,
+                email: true,
+              },
             },
           },
-        },
-      });
+        });
 
-      // Update customer's total spend and visit count
-      await this.updateCustomerStats(customerId, data.order_amount);
+        const updatedCustomer = await this.updateCustomerStats(
+          tx,
+          orderCustomerId,
+          data.order_amount,
+          order.order_status || 'COMPLETED'
+        );
+        await this.recordCustomerMVUpsert(tx, updatedCustomer, 'stats_updated');
 
-      // Create outbox event for the new order
-      await this.createOutboxEvent('order_created', order.order_id, {
-        order_id: order.order_id,
-        customer_id: customerId,
-        order_amount: data.order_amount,
-        order_status: data.order_status || 'COMPLETED',
-        created_at: new Date(),
+        return order;
       });
-
-      return order;
     } catch (error: any) {
       throw new Error(`Failed to create order: ${error.message}`);
     }
@@ -209,7 +257,7 @@ export class DatabaseService {
   async getOrdersByCustomer(customerId: string, limit: number = 10) {
     try {
       const orders = await this.customerDB.orders.findMany({
-        where: { customer_id: customerId },
+        where: { customer_id: customerId, tenant_id: this.tenantId },
         orderBy: { created_at: 'desc' },
         take: limit,
         include: {
@@ -230,6 +278,7 @@ export class DatabaseService {
   async getRecentOrders(limit: number = 10) {
     try {
       const orders = await this.customerDB.orders.findMany({
+        where: { tenant_id: this.tenantId },
         orderBy: { created_at: 'desc' },
         take: limit,
         include: {
@@ -247,55 +296,66 @@ export class DatabaseService {
     }
   }
 
-  // Helper method to update customer statistics
-  private async updateCustomerStats(customerId: string, orderAmount: number) {
-    try {
-      const customer = await this.customerDB.customers.findUnique({
-        where: { customer_id: customerId },
-      });
-
-      if (!customer) {
-        throw new Error('Customer not found');
-      }
-
-      const newTotalSpend =
-        (customer.total_spend?.toNumber() || 0) + orderAmount;
-      const newTotalVisits = (customer.total_visits || 0) + 1;
-
-      await this.customerDB.customers.update({
+  // Helper method to update customer statistics. Only completed orders count, and
+  // the increments are atomic so concurrent orders cannot overwrite each other.
+  // Returns the customer with its current aggregates.
+  private async updateCustomerStats(
+    tx: CustomerPrisma.TransactionClient,
+    customerId: string,
+    orderAmount: number,
+    orderStatus: string
+  ) {
+    if (orderStatus.toUpperCase() !== COUNTED_ORDER_STATUS) {
+      return tx.customers.findUniqueOrThrow({
         where: { customer_id: customerId },
-        data: {
-          total_spend: newTotalSpend,
-          total_visits: newTotalVisits,
-          last_order_at: new Date(),
-          updated_at: new Date(),
-        },
+        select: CUSTOMER_MV_SELECT,
       });
-    } catch (error: any) {
-      console.error('Failed to update customer stats:', error);
-      // Don't throw error here to avoid breaking order creation
     }
+
+    return tx.customers.update({
+      where: { customer_id: customerId },
+      data: {
+        total_spend: { increment: orderAmount },
+        total_visits: { increment: 1 },
+        last_order_at: new Date(),
+        updated_at: new Date(),
+        version: { increment: 1 },
+      },
+      select: CUSTOMER_MV_SELECT,
+    });
   }
 
-  // Create outbox event for downstream processing
-  private async createOutboxEvent(
-    eventType: string,
-    entityId: string,
-    payload: any
+  // Records a customer_mv_upsert outbox event in the shape the Customer service's
+  // outboxService writes, for the outbox relay to publish to the campaign service
+  private async recordCustomerMVUpsert(
+    tx: CustomerPrisma.TransactionClient,
+    customer: CustomerPrisma.customersGetPayload<{ select: typeof CUSTOMER_MV_SELECT }>,
+    operation: 'created' | 'updated' | 'stats_updated'
   ) {
-    try {
-      await this.customerDB.outbox_events.create({
-        data: {
-          event_type: eventType,
-          entity_id: entityId,
-          payload: payload,
-          published: false,
+    const totalOrders = await tx.orders.count({
+      where: { customer_id: customer.customer_id, order_status: COUNTED_ORDER_STATUS },
+    });
+
+    await tx.outbox_events.create({
+      data: {
+        tenant_id: customer.tenant_id,
+        event_type: 'customer_mv_upsert',
+        entity_id: customer.customer_id,
+        payload: {
+          customer_id: customer.customer_id,
+          name: customer.name,
+          email: customer.email,
+          total_spend: parseFloat(String(customer.total_spend || 0)),
+          total_visits: customer.total_visits || 0,
+          total_orders: totalOrders,
+          last_order_at: customer.last_order_at ? customer.last_order_at.toISOString() : null,
+          status: customer.status || 'ACTIVE',
+          version: customer.version,
+          operation,
         },
-      });
-    } catch (error: any) {
-      console.error('Failed to create outbox event:', error);
-      // Don't throw error to avoid breaking main operation
-    }
+        published: false,
+      },
+    });
   }
 
   // Get customer analytics
@@ -304,7 +364,7 @@ export class DatabaseService {
       if (customerId) {
         // Get analytics for specific customer
         const customer = await this.customerDB.customers.findUnique({
-          where: { customer_id: customerId },
+          where: { customer_id: customerId, tenant_id: this.tenantId },
           include: {
             orders: {
               select: {
@@ -346,10 +406,12 @@ export class DatabaseService {
         };
       } else {
         // Get overall analytics
-        const totalCustomers = await this.customerDB.customers.count();
-        const totalOrders = await this.customerDB.orders.count();
+        const tenant = { tenant_id: this.tenantId };
+        const totalCustomers = await this.customerDB.customers.count({ where: tenant });
+        const totalOrders = await this.customerDB.orders.count({ where: tenant });
 
         const orderStats = await this.customerDB.orders.aggregate({
+          where: tenant,
           _sum: {
             order_amount: true,
           },
@@ -378,11 +440,15 @@ export class DatabaseService {
     message_template: string;
     campaign_type?: string;
     created_by: string;
-    status?: string;
   }) {
     try {
+      const templateErrors = validateMessageTemplate(data.message_template);
+      if (templateErrors.length > 0) {
+        throw new Error(`Invalid message template: ${templateErrors.join('; ')}`);
+      }
+
       const segement = await this.campaignDB.segments.findUnique({
-        where: { segment_id: data.segment_id },
+        where: { segment_id: data.segment_id, tenant_id: this.tenantId },
         select: { preview_count: true, name: true },
       });
 
@@ -392,13 +458,14 @@ export class DatabaseService {
 
       const campaign = await this.campaignDB.campaigns.create({
         data: {
+          tenant_id: this.tenantId,
           segment_id: data.segment_id,
           name: data.name,
           message_template: data.message_template,
           campaign_type: data.campaign_type || 'PROMOTIONAL',
           target_audience_count: segement.preview_count || 0,
           created_by: data.created_by,
-          status: data.status || 'Active',
+          status: 'DRAFT',
         },
         include: {
           segments: {
@@ -420,7 +487,7 @@ export class DatabaseService {
   async getCampaignWithStats(campaignId: string) {
     try {
       const campaign = await this.campaignDB.campaigns.findUnique({
-        where: { campaign_id: campaignId },
+        where: { campaign_id: campaignId, tenant_id: this.tenantId },
         include: {
           campaign_stats: true,
           campaign_delivery_summary: true,
@@ -441,6 +508,7 @@ export class DatabaseService {
   async getSegments(limit: number = 10) {
     try {
       const segments = await this.campaignDB.segments.findMany({
+        where: { tenant_id: this.tenantId },
         take: limit,
         orderBy: { created_at: 'desc' },
         select: {
@@ -467,7 +535,7 @@ export class DatabaseService {
   async getSegmentById(segmentId: string) {
     try {
       const segment = await this.campaignDB.segments.findUnique({
-        where: { segment_id: segmentId },
+        where: { segment_id: segmentId, tenant_id: this.tenantId },
         include: {
           _count: {
             select: {
@@ -485,7 +553,7 @@ export class DatabaseService {
   async getCampaignsBySegment(segmentId: string, limit: number = 10) {
     try {
       const campaigns = await this.campaignDB.campaigns.findMany({
-        where: { segment_id: segmentId },
+        where: { segment_id: segmentId, tenant_id: this.tenantId },
         take: limit,
         orderBy: { created_at: 'desc' },
         include: {
@@ -501,7 +569,7 @@ export class DatabaseService {
 
   async getCampaigns(limit: number = 10, status?: string) {
     try {
-      const whereClause: any = {};
+      const whereClause: any = { tenant_id: this.tenantId };
 
       if (status) {
         whereClause.status = status;
@@ -548,6 +616,7 @@ export class DatabaseService {
   async getRecentCampaigns(limit: number = 10) {
     try {
       const campaigns = await this.campaignDB.campaigns.findMany({
+        where: { tenant_id: this.tenantId },
         take: limit,
         orderBy: { created_at: 'desc' },
         include: {
@@ -566,11 +635,77 @@ export class DatabaseService {
       throw new Error(`Failed to get recent campaigns: ${error.message}`);
     }
   }
+  // Statuses the MCP server may set directly. Launching, resuming and scheduling go
+  // through the Campaign service, which inserts the audience or sets the send time;
+  // COMPLETED is set by the sender once every message is settled.
+  private static readonly STATUS_TARGETS = ['DRAFT', 'PAUSED', 'CANCELLED'];
+
   async updateCampaignStatus(campaignId: string, status: string) {
     try {
-      const campaign = await this.campaignDB.campaigns.update({
-        where: { campaign_id: campaignId },
-        data: { status },
+      const targetStatus = status.toUpperCase();
+      if (!DatabaseService.STATUS_TARGETS.includes(targetStatus)) {
+        throw new Error(
+          `Status ${status} cannot be set here. Allowed statuses: ${DatabaseService.STATUS_TARGETS.join(', ')}`
+        );
+      }
+
+      const current = await this.campaignDB.campaigns.findUnique({
+        where: { campaign_id: campaignId, tenant_id: this.tenantId },
+        select: { status: true },
+      });
+
+      if (!current) {
+        throw new Error(`Campaign with ID ${campaignId} not found`);
+      }
+
+      const currentStatus = normalizeCampaignStatus(current.status);
+      if (!CAMPAIGN_STATUS_TRANSITIONS[currentStatus]?.includes(targetStatus)) {
+        throw new Error(
+          `Cannot move campaign from ${currentStatus} to ${targetStatus}`
+        );
+      }
+
+      const data: { status: string; scheduled_at?: null; cancelled_at?: Date } = { status: targetStatus };
+      if (targetStatus === 'DRAFT') {
+        data.scheduled_at = null;
+      } else if (targetStatus === 'CANCELLED') {
+        data.cancelled_at = new Date();
+      }
+
+      await this.campaignDB.$transaction(async (tx) => {
+        // Conditional on the status read so a concurrent transition is not overwritten
+        const updated = await tx.campaigns.updateMany({
+          where: { campaign_id: campaignId, tenant_id: this.tenantId, status: current.status },
+          data,
+        });
+
+        if (updated.count === 0) {
+          throw new Error('Campaign status changed concurrently, please retry');
+        }
+
+        if (targetStatus !== 'CANCELLED') {
+          return;
+        }
+
+        // As in the Campaign service: messages not yet sent are never delivered
+        const cancelled = await tx.communication_log.updateMany({
+          where: { campaign_id: campaignId, status: 'PENDING' },
+          data: { status: 'CANCELLED' },
+        });
+
+        if (cancelled.count > 0) {
+          await tx.campaign_delivery_summary.updateMany({
+            where: { campaign_id: campaignId },
+            data: {
+              pending_count: { decrement: cancelled.count },
+              last_updated: new Date(),
+            },
+          });
+        }
+      });
+
+      const campaign = await this.campaignDB.campaigns.findUnique({
+        where: { campaign_id: campaignId, tenant_id: this.tenantId },
       });
       return campaign;
     } catch (error: any) {
@@ -604,13 +739,15 @@ export class DatabaseService {
         };
       } else {
         // Get overall campaign analytics
-        const totalCampaigns = await this.campaignDB.campaigns.count();
+        const tenant = { tenant_id: this.tenantId };
+        const totalCampaigns = await this.campaignDB.campaigns.count({ where: tenant });
         const activeCampaigns = await this.campaignDB.campaigns.count({
-          where: { status: 'ACTIVE' },
+          where: { ...tenant, status: 'RUNNING' },
         });
 
         const deliveryStats =
           await this.campaignDB.campaign_delivery_summary.aggregate({
+            where: { campaigns: tenant },
             _sum: {
               total_messages: true,
               sent_count: true,
@@ -139,7 +139,7 @@ class XenCRMServer {
                 message_template: {
                   type: 'string',
                   description:
-                    'Message template for the campaign (supports placeholders like {name}, {total_spend})',
+                    'Message template for the campaign. Supports customer placeholders like {name}, {total_spend}, defaults like {name|there} and formats like {last_order_at:date} or {total_spend:currency}',
                 },
                 campaign_type: {
                   type: 'string',
@@ -156,11 +156,6 @@ class XenCRMServer {
                   type: 'string',
                   description: 'Name or ID of the person creating the campaign',
                 },
-                status: {
-                  type: 'string',
-                  enum: ['ACTIVE', 'INACTIVE', 'DRAFT'],
-                  description: 'Campaign status (optional, defaults to ACTIVE)',
-                },
               },
               required: [
                 'segment_id',
@@ -370,7 +365,6 @@ class XenCRMServer {
       message_template,
       campaign_type = 'PROMOTIONAL',
       created_by,
-      status = 'ACTIVE',
     } = args;
 
     if (!segment_id || !name || !message_template || !created_by) {
@@ -386,7 +380,6 @@ class XenCRMServer {
       message_template,
       campaign_type,
       created_by,
-      status,
     });
 
     // Get segment information for the response
@@ -414,7 +407,7 @@ class XenCRMServer {
       `**Message Template:**`,
       `"${campaign.message_template}"`,
       ``,
-      `The campaign is now ready for execution. Use the campaign stats tool to monitor its performance.`,
+      `The campaign has been created as a DRAFT. Launch or schedule it from the Campaign service, then use the campaign stats tool to monitor its performance.`,
     ].join('\n');
 
     return {
@@ -139,6 +139,14 @@ export const formatDate = (date: Date | null): string => {
   }).format(date);
 };
 
+// Template and lifecycle rules are shared with the Campaign service
+export {
+  CAMPAIGN_TRANSITIONS as CAMPAIGN_STATUS_TRANSITIONS,
+  TEMPLATE_FIELDS,
+  normalizeCampaignStatus,
+  validateMessageTemplate,
+} from '../../shared/utils/campaignRules.js';
+
 // Utility function to validate and parse natural language inputs
 export const parseCustomerFromText = (text: string): Partial<z.infer<typeof AddCustomerToolSchema>> => {
   const result: Partial<z.infer<typeof AddCustomerToolSchema>> = {};
@@ -1,9 +1,15 @@
 const { campaignDB } = require('../../../shared/database');
 const rabbitMQ = require('../../../shared/utils/rabbitmq');
+const { NonRetryableError } = require('../../../shared/utils/errors');
+
+// customers_mv status for customers removed under a GDPR erasure request
+const ERASED_STATUS = 'ERASED';
 
 class CustomerMVConsumer {
   constructor() {
     this.queueName = 'customer_mv_queue';
+    this.maxAttempts = 5; // Initial delivery plus retries after 5s, 10s, 20s and 40s
+    this.retryDelay = 5000;
   }
 
   async start() {
@@ -27,6 +33,8 @@ class CustomerMVConsumer {
         {
           noAck: false,
           prefetch: 1,
+          maxAttempts: this.maxAttempts,
+          retryDelay: this.retryDelay,
         }
       );
 
@@ -42,20 +50,32 @@ class CustomerMVConsumer {
   async processCustomerMVMessage(messageContent, message) {
     try {
       // Validate message structure
-      if (!messageContent.data || !messageContent.eventType) {
-        throw new Error('Invalid message format: missing data or eventType');
+      if (!messageContent.data || !messageContent.eventType || !messageContent.tenant_id) {
+        throw new NonRetryableError('Invalid message format: missing data, eventType or tenant_id');
       }
 
-      const customerData = messageContent.data;
+      const { tenant_id: tenantId, data: customerData } = messageContent;
+
+      if (messageContent.eventType === 'customer_erased') {
+        if (!customerData.customer_id) {
+          throw new NonRetryableError('Invalid erasure event: customer_id is required');
+        }
+
+        const result = await this.eraseCustomerMV(tenantId, customerData.customer_id, customerData.version);
+        console.log(
+          `CustomerMV erased: ${customerData.customer_id} - ${result.communicationsAnonymized} communications anonymized`
+        );
+        return;
+      }
 
       // Validate required fields
       if (!customerData.email) {
-        throw new Error('Invalid customer data: email is required');
+        throw new NonRetryableError('Invalid customer data: email is required');
       }
 
       // Processing customer MV data based on event type
       if (messageContent.eventType === 'customer_mv_upsert') {
-        const result = await this.upsertCustomerMV(customerData);
+        const result = await this.upsertCustomerMV(tenantId, customerData);
         console.log(
           `CustomerMV ${result.operation}: ${customerData.email} (ID: ${
             result.customerId
@@ -72,7 +92,7 @@ class CustomerMVConsumer {
     }
   }
 
-  async upsertCustomerMV(customerData) {
+  async upsertCustomerMV(tenantId, customerData) {
     try {
       const {
         customer_id,
@@ -83,9 +103,13 @@ class CustomerMVConsumer {
         total_orders = 0,
         last_order_at,
         status = 'ACTIVE',
+        version,
         operation,
       } = customerData;
 
+      // Events without a version predate versioning and only apply to rows that have none
+      const sourceVersion = Number.isInteger(version) ? version : null;
+
       // Calculating days since last order
       const daysSinceLastOrder = last_order_at
         ? Math.floor(
@@ -103,6 +127,7 @@ class CustomerMVConsumer {
         last_order_at: last_order_at ? new Date(last_order_at) : null,
         status: status.toUpperCase(),
         days_since_last_order: daysSinceLastOrder,
+        source_version: sourceVersion,
         synced_at: new Date(),
       };
 
@@ -111,25 +136,47 @@ class CustomerMVConsumer {
       if (customer_id) {
         const existingCustomer =
           await campaignDB.prisma.customers_mv.findUnique({
-            where: { customer_id: customer_id },
+            where: { customer_id: customer_id, tenant_id: tenantId },
           });
 
+        if (existingCustomer && existingCustomer.status === ERASED_STATUS) {
+          // Late event for an erased customer must not bring their data back
+          console.warn(`Customer ${customer_id} has been erased. Skipping.`);
+          return {
+            operation: 'skipped',
+            customerId: customer_id,
+          };
+        }
+
         if (existingCustomer) {
-          // Updating existing customer
-          const updatedCustomer = await campaignDB.prisma.customers_mv.update({
-            where: { customer_id: customer_id },
+          if (this.isStale(existingCustomer, sourceVersion)) {
+            return this.skipStale(existingCustomer, sourceVersion);
+          }
+
+          // Updating existing customer, unless it was erased or a newer version was applied since it was read
+          const { count } = await campaignDB.prisma.customers_mv.updateMany({
+            where: {
+              customer_id: customer_id,
+              tenant_id: tenantId,
+              AND: [this.notErasedFilter(), this.olderVersionFilter(sourceVersion)],
+            },
             data: dbData,
           });
 
+          if (count === 0) {
+            return this.skipStale(existingCustomer, sourceVersion);
+          }
+
           result = {
             operation: 'updated',
-            customerId: updatedCustomer.customer_id,
+            customerId: customer_id,
           };
         } else {
           // Creating new customer
           const newCustomer = await campaignDB.prisma.customers_mv.create({
             data: {
               customer_id: customer_id,
+              tenant_id: tenantId,
               ...dbData,
             },
           });
@@ -143,10 +190,14 @@ class CustomerMVConsumer {
         //finding new customer by email
         const existingCustomer = await campaignDB.prisma.customers_mv.findFirst(
           {
-            where: { email: dbData.email },
+            where: { tenant_id: tenantId, email: dbData.email },
           }
         );
 
+        if (existingCustomer && this.isStale(existingCustomer, sourceVersion)) {
+          return this.skipStale(existingCustomer, sourceVersion);
+        }
+
         if (existingCustomer) {
           // update existing customer found by email
           const updatedCustomer = await campaignDB.prisma.customers_mv.update({
@@ -172,7 +223,91 @@ class CustomerMVConsumer {
       return result;
     } catch (error) {
       console.error('Database error during CustomerMV upsert:', error);
-      throw new Error(`Failed to upsert CustomerMV: ${error.message}`);
+      throw new Error(`Failed to upsert CustomerMV: ${error.message}`, { cause: error });
+    }
+  }
+
+  // An event is stale when its version is not newer than the one already applied
+  isStale(existingCustomer, sourceVersion) {
+    if (existingCustomer.source_version === null || existingCustomer.source_version === undefined) {
+      return false;
+    }
+
+    return sourceVersion === null || sourceVersion <= existingCustomer.source_version;
+  }
+
+  notErasedFilter() {
+    return { OR: [{ status: null }, { status: { not: ERASED_STATUS } }] };
+  }
+
+  olderVersionFilter(sourceVersion) {
+    if (sourceVersion === null) {
+      return { source_version: null };
+    }
+
+    return { OR: [{ source_version: null }, { source_version: { lt: sourceVersion } }] };
+  }
+
+  skipStale(existingCustomer, sourceVersion) {
+    console.warn(
+      `Stale CustomerMV event for ${existingCustomer.customer_id} skipped: version ${sourceVersion} is not newer than ${existingCustomer.source_version}`
+    );
+
+    return {
+      operation: 'stale',
+      customerId: existingCustomer.customer_id,
+    };
+  }
+
+  /**
+   * Anonymizes everything the campaign DB holds about an erased customer. Rows are
+   * kept (communication_log references customers_mv) but stripped of personal data,
+   * and messages not yet sent are cancelled. A customer the campaign DB has not seen
+   * yet gets an ERASED tombstone, so an upsert arriving after the erasure is skipped.
+   * @param {string} tenantId - Tenant the customer belonged to
+   * @param {string} customerId - Erased customer's ID
+   * @param {number} [version] - Customer's version when erased
+   * @returns {Promise<Object>} - Counts of anonymized rows
+   */
+  async eraseCustomerMV(tenantId, customerId, version) {
+    try {
+      return await campaignDB.prisma.$transaction(async (tx) => {
+        await tx.communication_log.updateMany({
+          where: { tenant_id: tenantId, customer_id: customerId, status: 'PENDING' },
+          data: { status: 'CANCELLED' },
+        });
+
+        const communications = await tx.communication_log.updateMany({
+          where: { tenant_id: tenantId, customer_id: customerId },
+          data: {
+            customer_email: 'erased@erased.invalid',
+            customer_name: null,
+            message_text: '[erased]',
+          },
+        });
+
+        const tombstone = {
+          name: null,
+          email: null,
+          status: ERASED_STATUS,
+          synced_at: new Date(),
+          ...(Number.isInteger(version) && { source_version: version }),
+        };
+
+        await tx.customers_mv.upsert({
+          where: { customer_id: customerId, tenant_id: tenantId },
+          create: { customer_id: customerId, tenant_id: tenantId, ...tombstone },
+          update: tombstone,
+        });
+
+        return {
+          customersAnonymized: 1,
+          communicationsAnonymized: communications.count,
+        };
+      });
+    } catch (error) {
+      console.error('Database error during CustomerMV erasure:', error);
+      throw new Error(`Failed to erase CustomerMV: ${error.message}`, { cause: error });
     }
   }
 
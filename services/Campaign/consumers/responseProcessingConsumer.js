@@ -1,5 +1,6 @@
 const { campaignDB } = require('../../../shared/database');
 const rabbitMQ = require('../../../shared/utils/rabbitmq');
+const campaignLifecycleService = require('../services/campaignLifecycleService');
 
 class ResponseProcessingConsumer {
   constructor() {
@@ -52,6 +53,14 @@ class ResponseProcessingConsumer {
         throw new Error('Invalid response format: missing delivery_response');
       }
 
+      // Responses queued before tenants were introduced carry no tenant_id
+      if (!responseContent.tenant_id) {
+        responseContent = {
+          ...responseContent,
+          tenant_id: await this.getTenantId(responseContent.communication_id),
+        };
+      }
+
       // Extract delivery response
       const deliveryResponse = responseContent.delivery_response;
 
@@ -68,6 +77,9 @@ class ResponseProcessingConsumer {
         await this.updateCampaignStats(responseContent.campaign_id, 'failed');
       }
 
+      // Close out the campaign once its last message has a final status
+      await this.completeCampaignIfFinished(responseContent.campaign_id);
+
       console.log(`Response processed successfully for communication: ${responseContent.communication_id}`);
       
     } catch (error) {
@@ -76,6 +88,24 @@ class ResponseProcessingConsumer {
     }
   }
 
+  /**
+   * Looks up the tenant of a communication_log row
+   * @param {string} communicationId - Communication ID
+   * @returns {Promise<string>} - Tenant ID
+   */
+  async getTenantId(communicationId) {
+    const communicationLog = await campaignDB.prisma.communication_log.findUnique({
+      where: { communication_id: communicationId },
+      select: { tenant_id: true },
+    });
+
+    if (!communicationLog) {
+      throw new Error(`Communication log not found: ${communicationId}`);
+    }
+
+    return communicationLog.tenant_id;
+  }
+
   /**
    * Updates the communication_log table with delivery status
    * @param {Object} receiptContent - Delivery receipt data
@@ -98,7 +128,10 @@ class ResponseProcessingConsumer {
         
         // Check if message should be retried
         const currentLog = await campaignDB.prisma.communication_log.findUnique({
-          where: { communication_id: responseContent.communication_id },
+          where: {
+            communication_id: responseContent.communication_id,
+            tenant_id: responseContent.tenant_id
+          },
           select: { attempts: true, max_attempts: true }
         });
 
@@ -118,7 +151,8 @@ class ResponseProcessingConsumer {
       // Update the communication log
       const updatedLog = await campaignDB.prisma.communication_log.update({
         where: {
-          communication_id: responseContent.communication_id
+          communication_id: responseContent.communication_id,
+          tenant_id: responseContent.tenant_id
         },
         data: updateData
       });
@@ -246,6 +280,20 @@ class ResponseProcessingConsumer {
     }
   }
 
+  /**
+   * Marks the campaign COMPLETED when no messages remain pending or in flight
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<void>}
+   */
+  async completeCampaignIfFinished(campaignId) {
+    try {
+      await campaignLifecycleService.completeIfFinished(campaignId);
+    } catch (error) {
+      console.error(`Failed to check completion for campaign ${campaignId}:`, error);
+      // Not critical - the next response for this campaign will check again
+    }
+  }
+
   /**
    * Handles retry logic for failed receipts that should be retried
    * @param {string} communicationId - Communication ID
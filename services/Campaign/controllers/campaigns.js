@@ -0,0 +1,408 @@
+const campaignLaunchService = require('../services/campaignLaunchService');
+const campaignSchedulerService = require('../services/campaignSchedulerService');
+const campaignLifecycleService = require('../services/campaignLifecycleService');
+const campaignService = require('../services/campaignService');
+const templateRenderer = require('../services/templateRenderer');
+const { getUserIdentity, getTenantId } = require('../../../shared/middleware/auth');
+const Joi = require('joi');
+
+const { CAMPAIGN_STATUSES } = campaignLifecycleService;
+
+const campaignIdSchema = Joi.string().guid().required();
+
+// Define validation schema for campaign data
+const campaignSchema = Joi.object({
+  segment_id: Joi.string().required().guid(),
+  name: Joi.string().required().min(1).max(255).trim(),
+  message_template: Joi.string().required().max(2000),
+  campaign_type: Joi.string().optional().trim().uppercase().max(50).default('PROMOTIONAL'),
+});
+
+// Define validation schema for campaign updates
+const updateCampaignSchema = Joi.object({
+  segment_id: Joi.string().optional().guid(),
+  name: Joi.string().optional().min(1).max(255).trim(),
+  message_template: Joi.string().optional().max(2000),
+  campaign_type: Joi.string().optional().trim().uppercase().max(50),
+}).min(1);
+
+// Define validation schema for campaign and campaign stats list queries
+const listCampaignsSchema = Joi.object({
+  status: Joi.string().optional().uppercase().valid(...Object.values(CAMPAIGN_STATUSES)),
+  segment_id: Joi.string().optional().guid(),
+  limit: Joi.number().integer().optional().min(1).max(100).default(20),
+  cursor: Joi.string().optional().guid(),
+});
+
+// Define validation schema for scheduling requests
+const scheduleSchema = Joi.object({
+  send_at: Joi.date().iso().required().greater('now'),
+});
+
+const invalidCampaignId = (res) =>
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: [{ field: 'id', message: 'Campaign id must be a valid UUID' }],
+  });
+
+const formatValidationErrors = (error) =>
+  error.details.map((detail) => ({
+    field: detail.path.join('.'),
+    message: detail.message,
+  }));
+
+const invalidTemplate = (res, templateErrors) =>
+  res.status(400).json({
+    success: false,
+    message: 'Invalid message template',
+    errors: templateErrors,
+  });
+
+const handleError = (res, error, action) => {
+  // ServiceErrors carry the HTTP status the caller should see
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  console.error(`Error ${action}:`, error);
+
+  res.status(500).json({
+    success: false,
+    message: `Internal server error while ${action}`,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+  });
+};
+
+const launchCampaign = async (req, res) => {
+  try {
+    const { error, value: campaignId } = campaignIdSchema.validate(req.params.id);
+
+    if (error) {
+      return invalidCampaignId(res);
+    }
+
+    const result = await campaignLaunchService.launchCampaign(getTenantId(req), campaignId);
+
+    res.status(202).json({
+      success: true,
+      message: 'Campaign launched and messages queued for delivery',
+      data: result,
+    });
+  } catch (error) {
+    handleError(res, error, 'launching campaign');
+  }
+};
+
+const scheduleCampaign = async (req, res) => {
+  try {
+    const { error: idError, value: campaignId } = campaignIdSchema.validate(req.params.id);
+
+    if (idError) {
+      return invalidCampaignId(res);
+    }
+
+    const { error, value } = scheduleSchema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      const validationErrors = error.details.map((detail) => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: validationErrors,
+      });
+    }
+
+    const campaign = await campaignSchedulerService.scheduleCampaign(
+      getTenantId(req),
+      campaignId,
+      value.send_at
+    );
+
+    res.json({
+      success: true,
+      message: 'Campaign scheduled',
+      data: {
+        campaign_id: campaign.campaign_id,
+        status: campaign.status,
+        scheduled_at: campaign.scheduled_at,
+      },
+    });
+  } catch (error) {
+    handleError(res, error, 'scheduling campaign');
+  }
+};
+
+// Builds a handler for a lifecycle transition that needs nothing but the tenant and campaign id
+const lifecycleAction = (transition, action, message) => async (req, res) => {
+  try {
+    const { error, value: campaignId } = campaignIdSchema.validate(req.params.id);
+
+    if (error) {
+      return invalidCampaignId(res);
+    }
+
+    const campaign = await transition(getTenantId(req), campaignId);
+
+    res.json({
+      success: true,
+      message,
+      data: {
+        campaign_id: campaign.campaign_id,
+        status: campaign.status,
+      },
+    });
+  } catch (error) {
+    handleError(res, error, action);
+  }
+};
+
+const pauseCampaign = lifecycleAction(
+  (tenantId, campaignId) => campaignLifecycleService.pauseCampaign(tenantId, campaignId),
+  'pausing campaign',
+  'Campaign paused'
+);
+
+const resumeCampaign = lifecycleAction(
+  (tenantId, campaignId) => campaignLifecycleService.resumeCampaign(tenantId, campaignId),
+  'resuming campaign',
+  'Campaign resumed'
+);
+
+const cancelCampaign = lifecycleAction(
+  (tenantId, campaignId) => campaignLifecycleService.cancelCampaign(tenantId, campaignId),
+  'cancelling campaign',
+  'Campaign cancelled'
+);
+
+const createCampaign = async (req, res) => {
+  try {
+    const { error, value } = campaignSchema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatValidationErrors(error),
+      });
+    }
+
+    const templateErrors = templateRenderer.validate(value.message_template);
+    if (templateErrors.length > 0) {
+      return invalidTemplate(res, templateErrors);
+    }
+
+    const campaign = await campaignService.createCampaign(getTenantId(req), {
+      ...value,
+      created_by: getUserIdentity(req),
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Campaign created',
+      data: campaign,
+    });
+  } catch (error) {
+    handleError(res, error, 'creating campaign');
+  }
+};
+
+const listCampaigns = async (req, res) => {
+  try {
+    const { error, value } = listCampaignsSchema.validate(req.query, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatValidationErrors(error),
+      });
+    }
+
+    const { campaigns, hasMore, nextCursor } = await campaignService.listCampaigns({
+      tenantId: getTenantId(req),
+      status: value.status,
+      segmentId: value.segment_id,
+      limit: value.limit,
+      cursor: value.cursor,
+    });
+
+    res.json({
+      success: true,
+      data: campaigns,
+      pagination: {
+        limit: value.limit,
+        has_more: hasMore,
+        next_cursor: nextCursor,
+      },
+    });
+  } catch (error) {
+    handleError(res, error, 'listing campaigns');
+  }
+};
+
+const getCampaign = async (req, res) => {
+  try {
+    const { error, value: campaignId } = campaignIdSchema.validate(req.params.id);
+
+    if (error) {
+      return invalidCampaignId(res);
+    }
+
+    const campaign = await campaignService.getCampaign(getTenantId(req), campaignId);
+
+    res.json({
+      success: true,
+      data: campaign,
+    });
+  } catch (error) {
+    handleError(res, error, 'fetching campaign');
+  }
+};
+
+const updateCampaign = async (req, res) => {
+  try {
+    const { error: idError, value: campaignId } = campaignIdSchema.validate(req.params.id);
+
+    if (idError) {
+      return invalidCampaignId(res);
+    }
+
+    const { error, value } = updateCampaignSchema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatValidationErrors(error),
+      });
+    }
+
+    if (value.message_template !== undefined) {
+      const templateErrors = templateRenderer.validate(value.message_template);
+      if (templateErrors.length > 0) {
+        return invalidTemplate(res, templateErrors);
+      }
+    }
+
+    const campaign = await campaignService.updateCampaign(getTenantId(req), campaignId, value);
+
+    res.json({
+      success: true,
+      message: 'Campaign updated',
+      data: campaign,
+    });
+  } catch (error) {
+    handleError(res, error, 'updating campaign');
+  }
+};
+
+const deleteCampaign = async (req, res) => {
+  try {
+    const { error, value: campaignId } = campaignIdSchema.validate(req.params.id);
+
+    if (error) {
+      return invalidCampaignId(res);
+    }
+
+    await campaignService.deleteCampaign(getTenantId(req), campaignId);
+
+    res.json({
+      success: true,
+      message: 'Campaign deleted',
+      data: { campaign_id: campaignId },
+    });
+  } catch (error) {
+    handleError(res, error, 'deleting campaign');
+  }
+};
+
+const listCampaignStats = async (req, res) => {
+  try {
+    const { error, value } = listCampaignsSchema.validate(req.query, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatValidationErrors(error),
+      });
+    }
+
+    const { stats, hasMore, nextCursor } = await campaignService.listCampaignStats({
+      tenantId: getTenantId(req),
+      status: value.status,
+      segmentId: value.segment_id,
+      limit: value.limit,
+      cursor: value.cursor,
+    });
+
+    res.json({
+      success: true,
+      data: stats,
+      pagination: {
+        limit: value.limit,
+        has_more: hasMore,
+        next_cursor: nextCursor,
+      },
+    });
+  } catch (error) {
+    handleError(res, error, 'listing campaign stats');
+  }
+};
+
+const getCampaignStats = async (req, res) => {
+  try {
+    const { error, value: campaignId } = campaignIdSchema.validate(req.params.id);
+
+    if (error) {
+      return invalidCampaignId(res);
+    }
+
+    const stats = await campaignService.getCampaignStats(getTenantId(req), campaignId);
+
+    res.json({
+      success: true,
+      data: stats,
+    });
+  } catch (error) {
+    handleError(res, error, 'fetching campaign stats');
+  }
+};
+
+module.exports = {
+  createCampaign,
+  listCampaigns,
+  getCampaign,
+  updateCampaign,
+  deleteCampaign,
+  listCampaignStats,
+  getCampaignStats,
+  launchCampaign,
+  scheduleCampaign,
+  pauseCampaign,
+  resumeCampaign,
+  cancelCampaign,
+};
@@ -0,0 +1,25 @@
+const dashboardService = require('../services/dashboardService');
+const { getTenantId } = require('../../../shared/middleware/auth');
+
+const getDashboard = async (req, res) => {
+  try {
+    const dashboard = await dashboardService.getDashboard(getTenantId(req));
+
+    res.json({
+      success: true,
+      data: dashboard,
+    });
+  } catch (error) {
+    console.error('Error building dashboard:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while building dashboard',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+module.exports = {
+  getDashboard,
+};
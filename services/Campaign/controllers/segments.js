@@ -0,0 +1,336 @@
+const { campaignDB } = require('../../../shared/database');
+const segmentRuleEngine = require('../services/segmentRuleEngine');
+const segmentService = require('../services/segmentService');
+const { getUserIdentity, getTenantId } = require('../../../shared/middleware/auth');
+const Joi = require('joi');
+
+// Fields returned for each sampled customer in a segment preview
+const previewCustomerSelect = {
+  customer_id: true,
+  name: true,
+  email: true,
+  total_spend: true,
+  total_visits: true,
+  total_orders: true,
+  last_order_at: true,
+  days_since_last_order: true,
+  status: true,
+};
+
+// Define validation schema for segment preview requests
+const previewSchema = Joi.object({
+  rules: Joi.object().required().unknown(true),
+  limit: Joi.number().integer().optional().min(1).max(100).default(10),
+  cursor: Joi.string().optional().guid(),
+});
+
+// Define validation schema for segment data
+const segmentSchema = Joi.object({
+  name: Joi.string().required().min(1).max(255).trim(),
+  description: Joi.string().optional().allow('').max(2000).trim(),
+  rules: Joi.object().required().unknown(true),
+});
+
+// Define validation schema for segment updates
+const updateSegmentSchema = Joi.object({
+  name: Joi.string().optional().min(1).max(255).trim(),
+  description: Joi.string().optional().allow('').max(2000).trim(),
+  rules: Joi.object().optional().unknown(true),
+}).min(1);
+
+// Define validation schema for segment list queries
+const listSegmentsSchema = Joi.object({
+  search: Joi.string().optional().max(255).trim(),
+  limit: Joi.number().integer().optional().min(1).max(100).default(20),
+  cursor: Joi.string().optional().guid(),
+});
+
+const segmentIdSchema = Joi.string().guid().required();
+
+const invalidSegmentId = (res) =>
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: [{ field: 'id', message: 'Segment id must be a valid UUID' }],
+  });
+
+const handleError = (res, error, action) => {
+  // ServiceErrors carry the HTTP status the caller should see
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  console.error(`Error ${action}:`, error);
+
+  res.status(500).json({
+    success: false,
+    message: `Internal server error while ${action}`,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+  });
+};
+
+const formatValidationErrors = (error) =>
+  error.details.map((detail) => ({
+    field: detail.path.join('.'),
+    message: detail.message,
+  }));
+
+const previewSegment = async (req, res) => {
+  try {
+    const { error, value } = previewSchema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatValidationErrors(error),
+      });
+    }
+
+    const ruleErrors = segmentRuleEngine.validateRules(value.rules);
+    if (ruleErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid segment rules',
+        errors: ruleErrors,
+      });
+    }
+
+    const paginationOptions = {
+      take: value.limit + 1,
+      select: previewCustomerSelect,
+    };
+
+    if (value.cursor) {
+      paginationOptions.cursor = { customer_id: value.cursor };
+      paginationOptions.skip = 1;
+    }
+
+    const tenantId = getTenantId(req);
+    const [audienceCount, customers] = await Promise.all([
+      segmentRuleEngine.countAudience(tenantId, value.rules),
+      segmentRuleEngine.findAudience(tenantId, value.rules, paginationOptions),
+    ]);
+
+    const hasMore = customers.length > value.limit;
+    const sample = hasMore ? customers.slice(0, value.limit) : customers;
+
+    res.json({
+      success: true,
+      data: {
+        audience_count: audienceCount,
+        customers: sample,
+        pagination: {
+          limit: value.limit,
+          has_more: hasMore,
+          next_cursor: hasMore ? sample[sample.length - 1].customer_id : null,
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Error previewing segment:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while previewing segment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+const createSegment = async (req, res) => {
+  try {
+    const { error, value } = segmentSchema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatValidationErrors(error),
+      });
+    }
+
+    const ruleErrors = segmentRuleEngine.validateRules(value.rules);
+    if (ruleErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid segment rules',
+        errors: ruleErrors,
+      });
+    }
+
+    // preview_count is always recomputed server-side, never taken from the client
+    const tenantId = getTenantId(req);
+    const previewCount = await segmentRuleEngine.countAudience(tenantId, value.rules);
+
+    const segment = await campaignDB.prisma.segments.create({
+      data: {
+        tenant_id: tenantId,
+        name: value.name,
+        description: value.description || null,
+        rules: value.rules,
+        preview_count: previewCount,
+        created_by: getUserIdentity(req),
+      },
+    });
+
+    console.log('Segment created:', {
+      segment_id: segment.segment_id,
+      name: segment.name,
+      preview_count: previewCount,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Segment created',
+      data: segment,
+    });
+  } catch (error) {
+    console.error('Error creating segment:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while creating segment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+const listSegments = async (req, res) => {
+  try {
+    const { error, value } = listSegmentsSchema.validate(req.query, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatValidationErrors(error),
+      });
+    }
+
+    const { segments, hasMore, nextCursor } = await segmentService.listSegments({
+      ...value,
+      tenantId: getTenantId(req),
+    });
+
+    res.json({
+      success: true,
+      data: segments,
+      pagination: {
+        limit: value.limit,
+        has_more: hasMore,
+        next_cursor: nextCursor,
+      },
+    });
+  } catch (error) {
+    handleError(res, error, 'listing segments');
+  }
+};
+
+const getSegment = async (req, res) => {
+  try {
+    const { error, value: segmentId } = segmentIdSchema.validate(req.params.id);
+
+    if (error) {
+      return invalidSegmentId(res);
+    }
+
+    const segment = await segmentService.getSegment(getTenantId(req), segmentId);
+
+    res.json({
+      success: true,
+      data: segment,
+    });
+  } catch (error) {
+    handleError(res, error, 'fetching segment');
+  }
+};
+
+const updateSegment = async (req, res) => {
+  try {
+    const { error: idError, value: segmentId } = segmentIdSchema.validate(req.params.id);
+
+    if (idError) {
+      return invalidSegmentId(res);
+    }
+
+    const { error, value } = updateSegmentSchema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatValidationErrors(error),
+      });
+    }
+
+    if (value.rules) {
+      const ruleErrors = segmentRuleEngine.validateRules(value.rules);
+      if (ruleErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid segment rules',
+          errors: ruleErrors,
+        });
+      }
+    }
+
+    if (value.description === '') {
+      value.description = null;
+    }
+
+    const segment = await segmentService.updateSegment(getTenantId(req), segmentId, value);
+
+    res.json({
+      success: true,
+      message: 'Segment updated',
+      data: segment,
+    });
+  } catch (error) {
+    handleError(res, error, 'updating segment');
+  }
+};
+
+const deleteSegment = async (req, res) => {
+  try {
+    const { error, value: segmentId } = segmentIdSchema.validate(req.params.id);
+
+    if (error) {
+      return invalidSegmentId(res);
+    }
+
+    await segmentService.deleteSegment(getTenantId(req), segmentId);
+
+    res.json({
+      success: true,
+      message: 'Segment deleted',
+      data: { segment_id: segmentId },
+    });
+  } catch (error) {
+    handleError(res, error, 'deleting segment');
+  }
+};
+
+module.exports = {
+  previewSegment,
+  createSegment,
+  listSegments,
+  getSegment,
+  updateSegment,
+  deleteSegment,
+};
@@ -1,6 +1,8 @@
 const messageSendingService = require('./services/messageSendingService');
 const responseProcessingConsumer = require('./consumers/responseProcessingConsumer');
 const customerMVConsumer = require('./consumers/customer_mv_consumer');
+const campaignSchedulerService = require('./services/campaignSchedulerService');
+const customerMVRefreshService = require('./services/customerMVRefreshService');
 const rabbitMQ = require('../../shared/utils/rabbitmq');
 
 class MessagingOrchestrator {
@@ -9,6 +11,8 @@ class MessagingOrchestrator {
       messageSending: messageSendingService,
       responseProcessing: responseProcessingConsumer,
       customerMV: customerMVConsumer,
+      campaignScheduler: campaignSchedulerService,
+      customerMVRefresh: customerMVRefreshService,
     };
     this.isRunning = false;
   }
@@ -34,6 +38,8 @@ class MessagingOrchestrator {
         this.services.messageSending.start(),
         this.services.responseProcessing.start(),
         this.services.customerMV.start(),
+        this.services.campaignScheduler.start(),
+        this.services.customerMVRefresh.start(),
       ]);
 
       this.isRunning = true;
@@ -47,6 +53,12 @@ class MessagingOrchestrator {
         '  ✓ Response Processing Consumer - Updates communication logs from responses'
       );
       console.log('  ✓ Customer MV Consumer - Handles customer data');
+      console.log(
+        '  ✓ Campaign Scheduler Service - Launches scheduled campaigns when due'
+      );
+      console.log(
+        '  ✓ CustomerMV Refresh Service - Recomputes days_since_last_order daily'
+      );
 
       // Display service statistics
       await this.displayStats();
@@ -65,6 +77,8 @@ class MessagingOrchestrator {
         this.services.messageSending.stop(),
         this.services.responseProcessing.stop(),
         this.services.customerMV.stop(),
+        this.services.campaignScheduler.stop(),
+        this.services.customerMVRefresh.stop(),
       ]);
 
       // Close RabbitMQ connection
@@ -0,0 +1,49 @@
+const express = require('express');
+const cors = require('cors');
+const segmentHandler = require('../controllers/segments');
+const campaignHandler = require('../controllers/campaigns');
+const dashboardHandler = require('../controllers/dashboard');
+const { ROLES, authorize, corsOptions } = require('../../../shared/middleware/auth');
+const app = express();
+require('dotenv').config();
+
+app.use(express.json());
+app.use(cors(corsOptions()));
+
+// Changes need campaign:manage; reads are also open to analytics:read
+const canManage = authorize(ROLES.CAMPAIGN_MANAGE);
+const canRead = authorize(ROLES.CAMPAIGN_MANAGE, ROLES.ANALYTICS_READ);
+
+app.get('/health', (req, res) => {
+  res.json({
+    status: 'Healthy',
+    service: 'campaign-service',
+    timestamp: new Date().toISOString(),
+  });
+});
+app.post('/segments/preview', canManage, segmentHandler.previewSegment);
+app.post('/segments', canManage, segmentHandler.createSegment);
+app.get('/segments', canRead, segmentHandler.listSegments);
+app.get('/segments/:id', canRead, segmentHandler.getSegment);
+app.patch('/segments/:id', canManage, segmentHandler.updateSegment);
+app.delete('/segments/:id', canManage, segmentHandler.deleteSegment);
+app.post('/campaigns', canManage, campaignHandler.createCampaign);
+app.get('/campaigns', canRead, campaignHandler.listCampaigns);
+app.get('/campaigns/:id', canRead, campaignHandler.getCampaign);
+app.patch('/campaigns/:id', canManage, campaignHandler.updateCampaign);
+app.delete('/campaigns/:id', canManage, campaignHandler.deleteCampaign);
+app.post('/campaigns/:id/launch', canManage, campaignHandler.launchCampaign);
+app.post('/campaigns/:id/schedule', canManage, campaignHandler.scheduleCampaign);
+app.post('/campaigns/:id/pause', canManage, campaignHandler.pauseCampaign);
+app.post('/campaigns/:id/resume', canManage, campaignHandler.resumeCampaign);
+app.post('/campaigns/:id/cancel', canManage, campaignHandler.cancelCampaign);
+app.get('/campaignStats', canRead, campaignHandler.listCampaignStats);
+app.get('/campaignStats/:id', canRead, campaignHandler.getCampaignStats);
+app.get('/dashboard', canRead, dashboardHandler.getDashboard);
+
+const PORT = process.env.PORT || 3002;
+
+app.listen(PORT, () => {
+  console.log(`Campaign service started on port ${PORT}`);
+  console.log(`Health check: http://localhost:${PORT}/health`);
+});
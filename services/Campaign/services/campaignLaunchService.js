@@ -0,0 +1,333 @@
+const { campaignDB } = require('../../../shared/database');
+const { ServiceError } = require('../../../shared/utils/errors');
+const segmentRuleEngine = require('./segmentRuleEngine');
+const templateRenderer = require('./templateRenderer');
+const campaignLifecycleService = require('./campaignLifecycleService');
+const { CAMPAIGN_STATUSES } = campaignLifecycleService;
+
+class CampaignLaunchService {
+  constructor() {
+    this.batchSize = 500; // Customers read and communication_log rows inserted per batch
+    this.leaseDuration = 5 * 60 * 1000; // A launch that has not renewed its lease for this long was interrupted
+  }
+
+  /**
+   * Launches a campaign: resolves its segment to customers, renders one message per
+   * customer and inserts the PENDING communication_log rows picked up by
+   * MessageSendingService. The campaign is claimed as LAUNCHING, which the sender
+   * skips, while the audience is inserted batch by batch; it only becomes RUNNING
+   * once every batch is in. Launching a LAUNCHING campaign resumes an interrupted
+   * launch, skipping customers that already have a message. The run holds a lease
+   * on the campaign, renewed per batch, so a resume cannot run alongside a launch
+   * that is still going.
+   * @param {string} tenantId - Tenant the campaign belongs to; only its customers are targeted
+   * @param {string} campaignId - Campaign ID
+   * @param {Object} options - { dueBy }: only launch if scheduled_at is at or before this time
+   * @returns {Promise<Object>} - Launch summary
+   */
+  async launchCampaign(tenantId, campaignId, options = {}) {
+    const campaign = await campaignDB.prisma.campaigns.findUnique({
+      where: { campaign_id: campaignId, tenant_id: tenantId },
+      include: {
+        segments: {
+          select: { segment_id: true, rules: true },
+        },
+      },
+    });
+
+    if (!campaign) {
+      throw new ServiceError(`Campaign ${campaignId} not found`, 404);
+    }
+
+    const resuming = campaignLifecycleService.normalizeStatus(campaign.status) === CAMPAIGN_STATUSES.LAUNCHING;
+
+    if (!resuming && !campaignLifecycleService.canTransition(campaign.status, CAMPAIGN_STATUSES.LAUNCHING)) {
+      throw new ServiceError(
+        `Campaign ${campaignId} cannot be launched from status ${campaignLifecycleService.normalizeStatus(campaign.status)}`,
+        409
+      );
+    }
+
+    const ruleErrors = segmentRuleEngine.validateRules(campaign.segments.rules);
+    if (ruleErrors.length > 0) {
+      throw new ServiceError(
+        `Segment ${campaign.segment_id} has invalid rules: ${ruleErrors
+          .map((error) => `${error.field}: ${error.message}`)
+          .join('; ')}`,
+        422
+      );
+    }
+
+    const templateErrors = templateRenderer.validate(campaign.message_template);
+    if (templateErrors.length > 0) {
+      throw new ServiceError(
+        `Campaign ${campaignId} has an invalid message template: ${templateErrors
+          .map((error) => error.message)
+          .join('; ')}`,
+        422
+      );
+    }
+
+    const lease = resuming
+      ? await this.acquireLease(campaign)
+      : await this.claimCampaign(campaign, options.dueBy);
+
+    let result;
+
+    try {
+      const where = segmentRuleEngine.buildAudienceWhere(tenantId, campaign.segments.rules);
+      await this.insertCommunicationLogs(campaign, where, lease);
+      result = await this.finishLaunch(campaign, lease);
+    } catch (error) {
+      await this.releaseLease(campaign, lease);
+      throw error;
+    }
+
+    console.log(
+      `Campaign ${campaignId} ${resuming ? 'launch resumed' : 'launched'}: ${result.totalMessages} messages queued`
+    );
+
+    return {
+      campaign_id: campaignId,
+      total_messages: result.totalMessages,
+      status: result.status,
+    };
+  }
+
+  /**
+   * Moves the campaign to LAUNCHING with a fresh lease, conditional on the status
+   * read so concurrent launches, reschedules and cancels cannot both win
+   * @param {Object} campaign - Campaign record
+   * @param {Date|undefined} dueBy - Only claim if scheduled_at is at or before this time
+   * @returns {Promise<{until: Date}>} - Lease held by this run
+   */
+  async claimCampaign(campaign, dueBy) {
+    const claimWhere = { campaign_id: campaign.campaign_id, status: campaign.status };
+    if (dueBy) {
+      claimWhere.scheduled_at = { lte: dueBy };
+    }
+
+    const lease = { until: this.nextLeaseUntil() };
+    const claimed = await campaignDB.prisma.campaigns.updateMany({
+      where: claimWhere,
+      data: {
+        status: CAMPAIGN_STATUSES.LAUNCHING,
+        launched_at: new Date(),
+        launch_error: null,
+        launch_lease_until: lease.until,
+      },
+    });
+
+    if (claimed.count === 0) {
+      throw new ServiceError(`Campaign ${campaign.campaign_id} changed state before it could be launched`, 409);
+    }
+
+    return lease;
+  }
+
+  /**
+   * Takes over the lease of a LAUNCHING campaign whose launch was interrupted. Only
+   * succeeds once the previous run's lease has expired or was released.
+   * @param {Object} campaign - Campaign record
+   * @returns {Promise<{until: Date}>} - Lease held by this run
+   */
+  async acquireLease(campaign) {
+    const now = new Date();
+    const lease = { until: this.nextLeaseUntil() };
+
+    const acquired = await campaignDB.prisma.campaigns.updateMany({
+      where: {
+        campaign_id: campaign.campaign_id,
+        status: CAMPAIGN_STATUSES.LAUNCHING,
+        OR: [{ launch_lease_until: null }, { launch_lease_until: { lt: now } }],
+      },
+      data: { launch_error: null, launch_lease_until: lease.until },
+    });
+
+    if (acquired.count === 0) {
+      throw new ServiceError(`Campaign ${campaign.campaign_id} is already being launched`, 409);
+    }
+
+    return lease;
+  }
+
+  /**
+   * Extends the lease before the next batch. Fails if another run took it over
+   * after it expired, so two runs never insert and finish the same launch.
+   * @param {Object} campaign - Campaign record
+   * @param {{until: Date}} lease - Lease held by this run, updated in place
+   * @returns {Promise<void>}
+   */
+  async renewLease(campaign, lease) {
+    const until = this.nextLeaseUntil();
+
+    const renewed = await campaignDB.prisma.campaigns.updateMany({
+      where: {
+        campaign_id: campaign.campaign_id,
+        status: CAMPAIGN_STATUSES.LAUNCHING,
+        launch_lease_until: lease.until,
+      },
+      data: { launch_lease_until: until },
+    });
+
+    if (renewed.count === 0) {
+      throw new ServiceError(`Campaign ${campaign.campaign_id} lost its launch lease to another run`, 409);
+    }
+
+    lease.until = until;
+  }
+
+  // Lets a resume start right away after this run failed, instead of after the lease expires
+  async releaseLease(campaign, lease) {
+    try {
+      await campaignDB.prisma.campaigns.updateMany({
+        where: { campaign_id: campaign.campaign_id, launch_lease_until: lease.until },
+        data: { launch_lease_until: null },
+      });
+    } catch (error) {
+      console.error(`Failed to release launch lease of campaign ${campaign.campaign_id}:`, error.message);
+    }
+  }
+
+  nextLeaseUntil() {
+    return new Date(Date.now() + this.leaseDuration);
+  }
+
+  /**
+   * Moves a LAUNCHING campaign to RUNNING (COMPLETED for an empty audience) and
+   * initializes its delivery summary and stats from the inserted messages
+   * @param {Object} campaign - Campaign record
+   * @param {{until: Date}} lease - Lease held by this run
+   * @returns {Promise<{totalMessages: number, status: string}>}
+   */
+  async finishLaunch(campaign, lease) {
+    const campaignId = campaign.campaign_id;
+
+    return campaignDB.prisma.$transaction(async (tx) => {
+      const totalMessages = await tx.communication_log.count({
+        where: { campaign_id: campaignId },
+      });
+      // Erasures may have cancelled some messages while the audience was inserted
+      const pendingMessages = await tx.communication_log.count({
+        where: { campaign_id: campaignId, status: 'PENDING' },
+      });
+
+      // Nothing to deliver for an empty audience
+      const status = totalMessages === 0 ? CAMPAIGN_STATUSES.COMPLETED : CAMPAIGN_STATUSES.RUNNING;
+
+      // Conditional on the lease, so a run that lost it cannot finish with a partial count
+      const finished = await tx.campaigns.updateMany({
+        where: { campaign_id: campaignId, status: CAMPAIGN_STATUSES.LAUNCHING, launch_lease_until: lease.until },
+        data: { status, target_audience_count: totalMessages, launch_error: null, launch_lease_until: null },
+      });
+
+      if (finished.count === 0) {
+        throw new ServiceError(`Campaign ${campaignId} changed state before its launch finished`, 409);
+      }
+
+      const now = new Date();
+
+      await tx.campaign_delivery_summary.upsert({
+        where: { campaign_id: campaignId },
+        update: {
+          total_messages: totalMessages,
+          pending_count: pendingMessages,
+          sent_count: 0,
+          delivered_count: 0,
+          failed_count: 0,
+          last_updated: now,
+        },
+        create: {
+          campaign_id: campaignId,
+          total_messages: totalMessages,
+          pending_count: pendingMessages,
+          sent_count: 0,
+          delivered_count: 0,
+          failed_count: 0,
+          last_updated: now,
+        },
+      });
+
+      await tx.campaign_stats.upsert({
+        where: { campaign_id: campaignId },
+        update: {
+          total_sent: totalMessages,
+          total_delivered: 0,
+          total_failed: 0,
+          last_updated: now,
+        },
+        create: {
+          campaign_id: campaignId,
+          total_sent: totalMessages,
+          total_delivered: 0,
+          total_failed: 0,
+          last_updated: now,
+        },
+      });
+
+      return { totalMessages, status };
+    });
+  }
+
+  /**
+   * Pages through the segment audience and bulk-inserts PENDING communication_log
+   * rows. Each batch is a single statement that skips customers already holding a
+   * message for the campaign, so re-running it after an interruption is safe.
+   * @param {Object} campaign - Campaign record
+   * @param {Object} where - Compiled segment filter
+   * @param {{until: Date}} lease - Lease held by this run, renewed per batch
+   * @returns {Promise<number>} - Number of rows inserted
+   */
+  async insertCommunicationLogs(campaign, where, lease) {
+    let lastCustomerId = null;
+    let totalMessages = 0;
+
+    while (true) {
+      await this.renewLease(campaign, lease);
+
+      // Keyset paging keeps going past a customer deleted since the previous page
+      const customers = await campaignDB.prisma.customers_mv.findMany({
+        where: lastCustomerId ? { ...where, customer_id: { gt: lastCustomerId } } : where,
+        orderBy: { customer_id: 'asc' },
+        take: this.batchSize,
+      });
+
+      if (customers.length === 0) {
+        break;
+      }
+
+      const rows = customers
+        .filter((customer) => customer.email)
+        .map((customer) => ({
+          tenant_id: campaign.tenant_id,
+          campaign_id: campaign.campaign_id,
+          customer_id: customer.customer_id,
+          customer_email: customer.email,
+          customer_name: customer.name,
+          message_text: templateRenderer.render(campaign.message_template, customer),
+          status: 'PENDING',
+        }));
+
+      if (rows.length > 0) {
+        const inserted = await campaignDB.prisma.communication_log.createMany({
+          data: rows,
+          skipDuplicates: true,
+        });
+        totalMessages += inserted.count;
+      }
+
+      lastCustomerId = customers[customers.length - 1].customer_id;
+
+      if (customers.length < this.batchSize) {
+        break;
+      }
+    }
+
+    return totalMessages;
+  }
+}
+
+// Create and export singleton instance
+const campaignLaunchService = new CampaignLaunchService();
+
+module.exports = campaignLaunchService;
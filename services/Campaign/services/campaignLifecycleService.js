@@ -0,0 +1,192 @@
+const { campaignDB } = require('../../../shared/database');
+const { ServiceError } = require('../../../shared/utils/errors');
+const {
+  CAMPAIGN_STATUSES,
+  CAMPAIGN_TRANSITIONS: TRANSITIONS,
+  normalizeCampaignStatus,
+} = require('../../../shared/utils/campaignRules');
+
+// Campaign statuses whose PENDING messages must not be sent. A LAUNCHING campaign's
+// messages wait until its whole audience has been inserted.
+const HALTED_STATUSES = ['LAUNCHING', 'PAUSED', 'CANCELLED'];
+
+class CampaignLifecycleService {
+  /**
+   * Maps a stored campaigns.status value onto a lifecycle status
+   * @param {string|null} status - Raw status
+   * @returns {string} - Lifecycle status
+   */
+  normalizeStatus(status) {
+    return normalizeCampaignStatus(status);
+  }
+
+  canTransition(fromStatus, toStatus) {
+    const allowed = TRANSITIONS[this.normalizeStatus(fromStatus)] || [];
+    return allowed.includes(toStatus);
+  }
+
+  assertTransition(campaign, toStatus) {
+    if (!TRANSITIONS[toStatus]) {
+      throw new ServiceError(
+        `Unknown campaign status ${toStatus}. Allowed statuses: ${Object.keys(TRANSITIONS).join(', ')}`,
+        400
+      );
+    }
+
+    if (!this.canTransition(campaign.status, toStatus)) {
+      throw new ServiceError(
+        `Campaign ${campaign.campaign_id} cannot move from ${this.normalizeStatus(campaign.status)} to ${toStatus}`,
+        409
+      );
+    }
+  }
+
+  /**
+   * Moves a campaign to a new status if the transition is allowed. The update is
+   * conditional on the status read, so concurrent transitions cannot both win.
+   * @param {string} tenantId - Tenant the campaign belongs to
+   * @param {string} campaignId - Campaign ID
+   * @param {string} toStatus - Target status
+   * @param {Object} data - Extra campaign columns to write with the transition
+   * @param {Object} client - Prisma client or transaction client
+   * @returns {Promise<Object>} - The campaign as read before the transition
+   */
+  async transition(tenantId, campaignId, toStatus, data = {}, client = campaignDB.prisma) {
+    const campaign = await client.campaigns.findUnique({
+      where: { campaign_id: campaignId, tenant_id: tenantId },
+    });
+
+    if (!campaign) {
+      throw new ServiceError(`Campaign ${campaignId} not found`, 404);
+    }
+
+    this.assertTransition(campaign, toStatus);
+
+    const updated = await client.campaigns.updateMany({
+      where: { campaign_id: campaignId, status: campaign.status },
+      data: { ...data, status: toStatus },
+    });
+
+    if (updated.count === 0) {
+      throw new ServiceError(
+        `Campaign ${campaignId} changed status concurrently, please retry`,
+        409
+      );
+    }
+
+    console.log(
+      `Campaign ${campaignId} status: ${this.normalizeStatus(campaign.status)} → ${toStatus}`
+    );
+
+    return campaign;
+  }
+
+  async pauseCampaign(tenantId, campaignId) {
+    await this.transition(tenantId, campaignId, CAMPAIGN_STATUSES.PAUSED);
+    return this.getCampaign(tenantId, campaignId);
+  }
+
+  /**
+   * Resumes a paused campaign. One whose last responses arrived while it was paused
+   * has nothing left to send, so it completes in the same transaction.
+   * @param {string} tenantId - Tenant the campaign belongs to
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<Object>} - Updated campaign
+   */
+  async resumeCampaign(tenantId, campaignId) {
+    await campaignDB.prisma.$transaction(async (tx) => {
+      await this.transition(tenantId, campaignId, CAMPAIGN_STATUSES.RUNNING, {}, tx);
+      await this.completeIfFinished(campaignId, tx);
+    });
+
+    return this.getCampaign(tenantId, campaignId);
+  }
+
+  /**
+   * Cancels a campaign. Messages still PENDING are marked CANCELLED so they are
+   * never delivered; messages already in flight finish normally.
+   * @param {string} tenantId - Tenant the campaign belongs to
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<Object>} - Updated campaign
+   */
+  async cancelCampaign(tenantId, campaignId) {
+    await campaignDB.prisma.$transaction(async (tx) => {
+      await this.transition(
+        tenantId,
+        campaignId,
+        CAMPAIGN_STATUSES.CANCELLED,
+        { cancelled_at: new Date() },
+        tx
+      );
+
+      const cancelled = await tx.communication_log.updateMany({
+        where: { campaign_id: campaignId, status: 'PENDING' },
+        data: { status: 'CANCELLED' },
+      });
+
+      if (cancelled.count > 0) {
+        await tx.campaign_delivery_summary.updateMany({
+          where: { campaign_id: campaignId },
+          data: {
+            pending_count: { decrement: cancelled.count },
+            last_updated: new Date(),
+          },
+        });
+
+        console.log(`Cancelled ${cancelled.count} pending messages for campaign ${campaignId}`);
+      }
+    });
+
+    return this.getCampaign(tenantId, campaignId);
+  }
+
+  /**
+   * Marks a RUNNING campaign COMPLETED once none of its messages are waiting
+   * to be sent or awaiting a delivery response.
+   * @param {string} campaignId - Campaign ID
+   * @param {Object} client - Prisma client or transaction client
+   * @returns {Promise<boolean>} - Whether the campaign was completed
+   */
+  async completeIfFinished(campaignId, client = campaignDB.prisma) {
+    const outstanding = await client.communication_log.count({
+      where: {
+        campaign_id: campaignId,
+        status: { in: ['PENDING', 'PROCESSING'] },
+      },
+    });
+
+    if (outstanding > 0) {
+      return false;
+    }
+
+    const completed = await client.campaigns.updateMany({
+      where: { campaign_id: campaignId, status: CAMPAIGN_STATUSES.RUNNING },
+      data: { status: CAMPAIGN_STATUSES.COMPLETED },
+    });
+
+    if (completed.count > 0) {
+      console.log(`Campaign ${campaignId} completed`);
+    }
+
+    return completed.count > 0;
+  }
+
+  async getCampaign(tenantId, campaignId) {
+    const campaign = await campaignDB.prisma.campaigns.findUnique({
+      where: { campaign_id: campaignId, tenant_id: tenantId },
+    });
+
+    if (!campaign) {
+      throw new ServiceError(`Campaign ${campaignId} not found`, 404);
+    }
+
+    return campaign;
+  }
+}
+
+// Create and export singleton instance
+const campaignLifecycleService = new CampaignLifecycleService();
+
+module.exports = campaignLifecycleService;
+module.exports.CAMPAIGN_STATUSES = CAMPAIGN_STATUSES;
+module.exports.HALTED_STATUSES = HALTED_STATUSES;
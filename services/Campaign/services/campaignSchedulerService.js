@@ -0,0 +1,192 @@
+const { campaignDB } = require('../../../shared/database');
+const { ServiceError, isRetryableError } = require('../../../shared/utils/errors');
+const campaignLaunchService = require('./campaignLaunchService');
+const campaignLifecycleService = require('./campaignLifecycleService');
+const { CAMPAIGN_STATUSES } = campaignLifecycleService;
+
+class CampaignSchedulerService {
+  constructor() {
+    this.batchSize = 10; // Number of due campaigns to launch per polling cycle
+    this.pollingInterval = 30000; // 30 seconds
+    this.isRunning = false;
+  }
+
+  async start() {
+    try {
+      console.log('Starting Campaign Scheduler Service...');
+
+      this.isRunning = true;
+      this.processDueCampaigns();
+
+      console.log(`Campaign Scheduler Service started with polling interval: ${this.pollingInterval}ms`);
+    } catch (error) {
+      console.error('Failed to start Campaign Scheduler Service:', error);
+      throw error;
+    }
+  }
+
+  async processDueCampaigns() {
+    while (this.isRunning) {
+      try {
+        await this.launchDueCampaigns();
+        await this.resumeInterruptedLaunches();
+      } catch (error) {
+        console.error('Error processing scheduled campaigns:', error);
+      }
+
+      // Wait before next polling cycle
+      await new Promise((resolve) => setTimeout(resolve, this.pollingInterval));
+    }
+  }
+
+  /**
+   * Launches every SCHEDULED campaign whose send time has passed. Campaigns that
+   * fail for a reason a retry cannot fix are moved back to DRAFT.
+   * @returns {Promise<number>} - Number of campaigns launched
+   */
+  async launchDueCampaigns() {
+    const now = new Date();
+
+    const dueCampaigns = await campaignDB.prisma.campaigns.findMany({
+      where: {
+        status: CAMPAIGN_STATUSES.SCHEDULED,
+        scheduled_at: { lte: now },
+      },
+      take: this.batchSize,
+      orderBy: { scheduled_at: 'asc' },
+      select: { campaign_id: true, tenant_id: true, name: true, scheduled_at: true },
+    });
+
+    let launched = 0;
+
+    for (const campaign of dueCampaigns) {
+      try {
+        // dueBy guards against the campaign being rescheduled after it was fetched
+        await campaignLaunchService.launchCampaign(campaign.tenant_id, campaign.campaign_id, {
+          dueBy: now,
+        });
+        launched += 1;
+        console.log(`Scheduled campaign launched: ${campaign.name} (${campaign.campaign_id})`);
+      } catch (error) {
+        console.error(`Failed to launch scheduled campaign ${campaign.campaign_id}:`, error.message);
+
+        // Only transient failures are retried on the next poll; anything else would
+        // be picked up forever and hold back later campaigns
+        if (!isRetryableError(error)) {
+          await this.unscheduleCampaign(campaign, now, error);
+        }
+      }
+    }
+
+    return launched;
+  }
+
+  /**
+   * Moves a due campaign that cannot be launched back to DRAFT and records why.
+   * Conditional on it still being due, so a concurrent reschedule or cancel wins.
+   * @param {Object} campaign - Campaign as read by launchDueCampaigns
+   * @param {Date} dueBy - Time the campaign was found due at
+   * @param {Error} error - Launch error
+   * @returns {Promise<void>}
+   */
+  async unscheduleCampaign(campaign, dueBy, error) {
+    try {
+      const unscheduled = await campaignDB.prisma.campaigns.updateMany({
+        where: {
+          campaign_id: campaign.campaign_id,
+          status: CAMPAIGN_STATUSES.SCHEDULED,
+          scheduled_at: { lte: dueBy },
+        },
+        data: {
+          status: CAMPAIGN_STATUSES.DRAFT,
+          scheduled_at: null,
+          launch_error: String(error.message).slice(0, 1000),
+        },
+      });
+
+      if (unscheduled.count > 0) {
+        console.log(`Scheduled campaign ${campaign.campaign_id} moved back to DRAFT: ${error.message}`);
+      }
+    } catch (updateError) {
+      console.error(`Failed to unschedule campaign ${campaign.campaign_id}:`, updateError.message);
+    }
+  }
+
+  /**
+   * Resumes launches that stopped while their audience was being inserted, e.g.
+   * because the process restarted, once their launch lease is no longer held. A
+   * launch that fails for a reason a retry cannot fix keeps the error in
+   * launch_error and is left for POST /campaigns/:id/launch.
+   * @returns {Promise<number>} - Number of launches resumed
+   */
+  async resumeInterruptedLaunches() {
+    const interruptedCampaigns = await campaignDB.prisma.campaigns.findMany({
+      where: {
+        status: CAMPAIGN_STATUSES.LAUNCHING,
+        OR: [{ launch_lease_until: null }, { launch_lease_until: { lt: new Date() } }],
+        launch_error: null,
+      },
+      take: this.batchSize,
+      orderBy: { launched_at: 'asc' },
+      select: { campaign_id: true, tenant_id: true, name: true },
+    });
+
+    let resumed = 0;
+
+    for (const campaign of interruptedCampaigns) {
+      try {
+        await campaignLaunchService.launchCampaign(campaign.tenant_id, campaign.campaign_id);
+        resumed += 1;
+        console.log(`Interrupted launch resumed: ${campaign.name} (${campaign.campaign_id})`);
+      } catch (error) {
+        console.error(`Failed to resume launch of campaign ${campaign.campaign_id}:`, error.message);
+
+        // A 409 means another run holds the launch or the campaign moved on, not that this launch failed
+        if (!isRetryableError(error) && error.statusCode !== 409) {
+          await campaignDB.prisma.campaigns
+            .updateMany({
+              where: { campaign_id: campaign.campaign_id, status: CAMPAIGN_STATUSES.LAUNCHING },
+              data: { launch_error: String(error.message).slice(0, 1000) },
+            })
+            .catch((updateError) => {
+              console.error(`Failed to record launch error for campaign ${campaign.campaign_id}:`, updateError.message);
+            });
+        }
+      }
+    }
+
+    return resumed;
+  }
+
+  /**
+   * Schedules (or reschedules) a campaign to launch at the given time
+   * @param {string} tenantId - Tenant the campaign belongs to
+   * @param {string} campaignId - Campaign ID
+   * @param {Date} sendAt - Launch time, must be in the future
+   * @returns {Promise<Object>} - Updated campaign
+   */
+  async scheduleCampaign(tenantId, campaignId, sendAt) {
+    if (!(sendAt instanceof Date) || isNaN(sendAt.getTime()) || sendAt <= new Date()) {
+      throw new ServiceError('Send time must be a valid date in the future', 400);
+    }
+
+    await campaignLifecycleService.transition(tenantId, campaignId, CAMPAIGN_STATUSES.SCHEDULED, {
+      scheduled_at: sendAt,
+      cancelled_at: null,
+      launch_error: null,
+    });
+
+    console.log(`Campaign ${campaignId} scheduled for ${sendAt.toISOString()}`);
+    return campaignLifecycleService.getCampaign(tenantId, campaignId);
+  }
+
+  async stop() {
+    console.log('Stopping Campaign Scheduler Service...');
+    this.isRunning = false;
+  }
+}
+
+// Create and export singleton instance
+const campaignSchedulerService = new CampaignSchedulerService();
+
+module.exports = campaignSchedulerService;
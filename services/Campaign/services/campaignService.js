@@ -0,0 +1,247 @@
+const { campaignDB } = require('../../../shared/database');
+const { ServiceError } = require('../../../shared/utils/errors');
+const segmentRuleEngine = require('./segmentRuleEngine');
+const campaignLifecycleService = require('./campaignLifecycleService');
+const { CAMPAIGN_STATUSES } = campaignLifecycleService;
+
+// Campaigns can only be edited before they are launched
+const EDITABLE_STATUSES = [CAMPAIGN_STATUSES.DRAFT, CAMPAIGN_STATUSES.SCHEDULED];
+
+// Campaigns that can be deleted, provided no messages were ever created for them
+const DELETABLE_STATUSES = [CAMPAIGN_STATUSES.DRAFT, CAMPAIGN_STATUSES.CANCELLED];
+
+const SEGMENT_SUMMARY = { select: { segment_id: true, name: true } };
+
+class CampaignService {
+  /**
+   * Creates a DRAFT campaign for an existing segment. The message template must
+   * already have been validated by the caller.
+   * @param {string} tenantId - Tenant creating the campaign
+   * @param {Object} data - { segment_id, name, message_template, campaign_type, created_by }
+   * @returns {Promise<Object>} - Created campaign
+   */
+  async createCampaign(tenantId, data) {
+    const segment = await this.getSegmentForCampaign(tenantId, data.segment_id);
+    const audienceCount = await segmentRuleEngine.countAudience(tenantId, segment.rules);
+
+    const campaign = await campaignDB.prisma.campaigns.create({
+      data: {
+        tenant_id: tenantId,
+        segment_id: data.segment_id,
+        name: data.name,
+        message_template: data.message_template,
+        campaign_type: data.campaign_type,
+        created_by: data.created_by,
+        status: CAMPAIGN_STATUSES.DRAFT,
+        // Estimate only; launching records the actual audience size
+        target_audience_count: audienceCount,
+      },
+      include: { segments: SEGMENT_SUMMARY },
+    });
+
+    console.log(`Campaign created: ${campaign.name} (${campaign.campaign_id}), estimated audience ${audienceCount}`);
+    return campaign;
+  }
+
+  /**
+   * Lists a tenant's campaigns, newest first, with their delivery stats
+   * @param {Object} options - { tenantId, status, segmentId, limit, cursor }
+   * @returns {Promise<Object>} - { campaigns, hasMore, nextCursor }
+   */
+  async listCampaigns({ tenantId, status, segmentId, limit, cursor }) {
+    const where = { tenant_id: tenantId };
+    if (status) where.status = status;
+    if (segmentId) where.segment_id = segmentId;
+
+    // Fetch one extra row to know whether another page exists
+    const campaigns = await campaignDB.prisma.campaigns.findMany({
+      where,
+      take: limit + 1,
+      ...(cursor && { cursor: { campaign_id: cursor }, skip: 1 }),
+      orderBy: [{ created_at: 'desc' }, { campaign_id: 'desc' }],
+      include: { segments: SEGMENT_SUMMARY, campaign_stats: true },
+    });
+
+    const hasMore = campaigns.length > limit;
+    const page = hasMore ? campaigns.slice(0, limit) : campaigns;
+
+    return {
+      campaigns: page,
+      hasMore,
+      nextCursor: hasMore ? page[page.length - 1].campaign_id : null,
+    };
+  }
+
+  async getCampaign(tenantId, campaignId) {
+    const campaign = await campaignDB.prisma.campaigns.findUnique({
+      where: { campaign_id: campaignId, tenant_id: tenantId },
+      include: {
+        segments: SEGMENT_SUMMARY,
+        campaign_stats: true,
+        campaign_delivery_summary: true,
+      },
+    });
+
+    if (!campaign) {
+      throw new ServiceError(`Campaign ${campaignId} not found`, 404);
+    }
+
+    return campaign;
+  }
+
+  /**
+   * Updates a campaign that has not been launched. The update is conditional on
+   * the status read, so a launch in between cannot be overwritten.
+   * @param {string} tenantId - Tenant the campaign belongs to
+   * @param {string} campaignId - Campaign ID
+   * @param {Object} changes - { name, message_template, campaign_type, segment_id }, already validated
+   * @returns {Promise<Object>} - Updated campaign
+   */
+  async updateCampaign(tenantId, campaignId, changes) {
+    const campaign = await this.getCampaign(tenantId, campaignId);
+    this.assertStatus(campaign, EDITABLE_STATUSES, 'edited');
+
+    const data = { ...changes };
+
+    if (changes.segment_id && changes.segment_id !== campaign.segment_id) {
+      const segment = await this.getSegmentForCampaign(tenantId, changes.segment_id);
+      data.target_audience_count = await segmentRuleEngine.countAudience(tenantId, segment.rules);
+    }
+
+    const updated = await campaignDB.prisma.campaigns.updateMany({
+      where: { campaign_id: campaignId, status: campaign.status },
+      data,
+    });
+
+    if (updated.count === 0) {
+      throw new ServiceError(`Campaign ${campaignId} changed status concurrently, please retry`, 409);
+    }
+
+    console.log(`Campaign ${campaignId} updated: ${Object.keys(changes).join(', ')}`);
+    return this.getCampaign(tenantId, campaignId);
+  }
+
+  /**
+   * Deletes a DRAFT or CANCELLED campaign together with its stats rows. Campaigns
+   * with messages are kept, since communication_log references them.
+   * @param {string} tenantId - Tenant the campaign belongs to
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<void>}
+   */
+  async deleteCampaign(tenantId, campaignId) {
+    const campaign = await this.getCampaign(tenantId, campaignId);
+    this.assertStatus(campaign, DELETABLE_STATUSES, 'deleted');
+
+    await campaignDB.prisma.$transaction(async (tx) => {
+      const messageCount = await tx.communication_log.count({
+        where: { campaign_id: campaignId },
+      });
+
+      if (messageCount > 0) {
+        throw new ServiceError(
+          `Campaign ${campaignId} has ${messageCount} messages and cannot be deleted`,
+          409
+        );
+      }
+
+      await tx.campaign_stats.deleteMany({ where: { campaign_id: campaignId } });
+      await tx.campaign_delivery_summary.deleteMany({ where: { campaign_id: campaignId } });
+
+      const deleted = await tx.campaigns.deleteMany({
+        where: { campaign_id: campaignId, status: campaign.status },
+      });
+
+      if (deleted.count === 0) {
+        throw new ServiceError(`Campaign ${campaignId} changed status concurrently, please retry`, 409);
+      }
+    });
+
+    console.log(`Campaign ${campaignId} deleted`);
+  }
+
+  /**
+   * Delivery stats for one campaign, including a per-status message breakdown
+   * @param {string} tenantId - Tenant the campaign belongs to
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<Object>} - Campaign stats
+   */
+  async getCampaignStats(tenantId, campaignId) {
+    const campaign = await this.getCampaign(tenantId, campaignId);
+
+    const statusCounts = await campaignDB.prisma.communication_log.groupBy({
+      by: ['status'],
+      where: { campaign_id: campaignId },
+      _count: { _all: true },
+    });
+
+    return {
+      ...this.formatStats(campaign),
+      delivery_summary: campaign.campaign_delivery_summary,
+      message_status_breakdown: statusCounts.reduce((breakdown, row) => {
+        breakdown[row.status || 'UNKNOWN'] = row._count._all;
+        return breakdown;
+      }, {}),
+    };
+  }
+
+  /**
+   * Delivery stats for every campaign of a tenant, newest first
+   * @param {Object} options - { tenantId, status, segmentId, limit, cursor }
+   * @returns {Promise<Object>} - { stats, hasMore, nextCursor }
+   */
+  async listCampaignStats(options) {
+    const { campaigns, hasMore, nextCursor } = await this.listCampaigns(options);
+
+    return {
+      stats: campaigns.map((campaign) => this.formatStats(campaign)),
+      hasMore,
+      nextCursor,
+    };
+  }
+
+  formatStats(campaign) {
+    const stats = campaign.campaign_stats;
+
+    return {
+      campaign_id: campaign.campaign_id,
+      name: campaign.name,
+      status: campaignLifecycleService.normalizeStatus(campaign.status),
+      target_audience_count: campaign.target_audience_count,
+      launched_at: campaign.launched_at,
+      total_sent: stats ? stats.total_sent : 0,
+      total_delivered: stats ? stats.total_delivered : 0,
+      total_failed: stats ? stats.total_failed : 0,
+      delivery_rate: stats && stats.delivery_rate !== null ? parseFloat(stats.delivery_rate) : 0,
+      last_updated: stats ? stats.last_updated : null,
+    };
+  }
+
+  assertStatus(campaign, allowedStatuses, action) {
+    const status = campaignLifecycleService.normalizeStatus(campaign.status);
+
+    if (!allowedStatuses.includes(status)) {
+      throw new ServiceError(
+        `Campaign ${campaign.campaign_id} is ${status} and cannot be ${action}. Allowed statuses: ${allowedStatuses.join(', ')}`,
+        409
+      );
+    }
+  }
+
+  async getSegmentForCampaign(tenantId, segmentId) {
+    const segment = await campaignDB.prisma.segments.findUnique({
+      where: { segment_id: segmentId, tenant_id: tenantId },
+      select: { segment_id: true, rules: true },
+    });
+
+    if (!segment) {
+      throw new ServiceError(`Segment ${segmentId} not found`, 404);
+    }
+
+    return segment;
+  }
+}
+
+// Create and export singleton instance
+const campaignService = new CampaignService();
+
+module.exports = campaignService;
@@ -0,0 +1,113 @@
+const { campaignDB } = require('../../../shared/database');
+
+const DEFAULT_RUN_AT = '02:00'; // UTC
+
+class CustomerMVRefreshService {
+  constructor() {
+    this.runAt = process.env.CUSTOMER_MV_REFRESH_AT || DEFAULT_RUN_AT; // Daily run time, HH:MM in UTC
+    this.pollingInterval = 60000; // 1 minute
+    this.isRunning = false;
+    this.nextRunAt = null;
+  }
+
+  async start() {
+    try {
+      console.log('Starting CustomerMV Refresh Service...');
+
+      this.nextRunAt = this.getNextRunAt(new Date());
+      this.isRunning = true;
+      this.processSchedule();
+
+      console.log(`CustomerMV Refresh Service started, next run at ${this.nextRunAt.toISOString()}`);
+    } catch (error) {
+      console.error('Failed to start CustomerMV Refresh Service:', error);
+      throw error;
+    }
+  }
+
+  async processSchedule() {
+    while (this.isRunning) {
+      if (new Date() >= this.nextRunAt) {
+        try {
+          await this.refreshTimeDerivedFields();
+        } catch (error) {
+          console.error('Error refreshing customers_mv time-derived fields:', error);
+        }
+
+        this.nextRunAt = this.getNextRunAt(new Date());
+        console.log(`Next customers_mv refresh at ${this.nextRunAt.toISOString()}`);
+      }
+
+      // Wait before next polling cycle
+      await new Promise((resolve) => setTimeout(resolve, this.pollingInterval));
+    }
+  }
+
+  /**
+   * Recomputes fields that depend on the current time for every customers_mv row
+   * in one statement. Uses the same whole-days-elapsed rule as the CustomerMV consumer.
+   * @returns {Promise<number>} - Number of rows whose values changed
+   */
+  async refreshTimeDerivedFields() {
+    const startedAt = new Date();
+
+    // last_order_at is stored as UTC without a time zone, so compare against UTC now
+    const updated = await campaignDB.prisma.$executeRaw`
+      UPDATE customers_mv
+      SET days_since_last_order = CASE
+        WHEN last_order_at IS NULL THEN NULL
+        ELSE FLOOR(EXTRACT(EPOCH FROM ((NOW() AT TIME ZONE 'UTC') - last_order_at)) / 86400)::int
+      END
+      WHERE days_since_last_order IS DISTINCT FROM CASE
+        WHEN last_order_at IS NULL THEN NULL
+        ELSE FLOOR(EXTRACT(EPOCH FROM ((NOW() AT TIME ZONE 'UTC') - last_order_at)) / 86400)::int
+      END
+    `;
+
+    console.log(`customers_mv time-derived fields refreshed: ${updated} rows changed in ${new Date() - startedAt}ms`);
+    return updated;
+  }
+
+  /**
+   * Next occurrence of the configured run time after the given moment
+   * @param {Date} from - Reference time
+   * @returns {Date} - Next run time
+   */
+  getNextRunAt(from) {
+    const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(this.runAt);
+
+    if (!match) {
+      throw new Error(`Invalid CUSTOMER_MV_REFRESH_AT "${this.runAt}", expected HH:MM in UTC`);
+    }
+
+    const next = new Date(from);
+    next.setUTCHours(Number(match[1]), Number(match[2]), 0, 0);
+
+    if (next <= from) {
+      next.setUTCDate(next.getUTCDate() + 1);
+    }
+
+    return next;
+  }
+
+  async stop() {
+    console.log('Stopping CustomerMV Refresh Service...');
+    this.isRunning = false;
+  }
+}
+
+// Create and export singleton instance
+const customerMVRefreshService = new CustomerMVRefreshService();
+
+// Run a single refresh if this file is run directly
+if (require.main === module) {
+  customerMVRefreshService
+    .refreshTimeDerivedFields()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('customers_mv refresh failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = customerMVRefreshService;
@@ -0,0 +1,286 @@
+const { customerDB, campaignDB } = require('../../../shared/database');
+const customerMVConsumer = require('../consumers/customer_mv_consumer');
+
+// customers_mv status for customers removed under a GDPR erasure request
+const ERASED_STATUS = 'ERASED';
+
+// Only completed orders count toward total_orders, matching the customers_mv events
+const COUNTED_ORDER_STATUS = 'COMPLETED';
+
+// Fields compared against the master DB to detect drift
+const DRIFT_FIELDS = [
+  'tenant_id',
+  'name',
+  'email',
+  'total_spend',
+  'total_visits',
+  'total_orders',
+  'last_order_at',
+  'status',
+  'source_version',
+];
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+class CustomerMVResyncService {
+  constructor() {
+    this.pageSize = 500; // Customers read from the master DB per page
+    this.maxDriftSamples = 100; // Drifted customers listed in the report
+  }
+
+  /**
+   * Rebuilds customers_mv from the master DB. Every customer is written with
+   * fresh aggregates and days_since_last_order; rows for customers no longer in
+   * the master DB are deleted, or anonymized when communication_log still
+   * references them.
+   * @param {Object} options - { dryRun, pageSize }
+   * @returns {Promise<Object>} - Drift report
+   */
+  async resync({ dryRun = false, pageSize = this.pageSize } = {}) {
+    const startedAt = new Date();
+    const report = {
+      dry_run: dryRun,
+      scanned: 0,
+      created: 0,
+      updated: 0,
+      unchanged: 0,
+      skipped_erased: 0,
+      removed: 0,
+      anonymized: 0,
+      drift: [],
+    };
+
+    console.log(`Starting customers_mv resync${dryRun ? ' (dry run)' : ''}...`);
+
+    await this.syncCustomers(report, { dryRun, pageSize });
+    await this.removeDeletedCustomers(report, { dryRun, pageSize });
+
+    report.duration_ms = new Date() - startedAt;
+
+    console.log(
+      `customers_mv resync finished in ${report.duration_ms}ms: ${report.scanned} scanned, ` +
+        `${report.created} created, ${report.updated} updated, ${report.unchanged} unchanged, ` +
+        `${report.removed} removed, ${report.anonymized} anonymized`
+    );
+
+    return report;
+  }
+
+  async syncCustomers(report, { dryRun, pageSize }) {
+    let lastId = null;
+
+    while (true) {
+      const customers = await customerDB.prisma.customers.findMany({
+        where: lastId ? { customer_id: { gt: lastId } } : undefined,
+        orderBy: { customer_id: 'asc' },
+        take: pageSize,
+        select: {
+          customer_id: true,
+          tenant_id: true,
+          name: true,
+          email: true,
+          total_spend: true,
+          total_visits: true,
+          last_order_at: true,
+          status: true,
+          version: true,
+        },
+      });
+
+      if (customers.length === 0) break;
+      lastId = customers[customers.length - 1].customer_id;
+
+      const customerIds = customers.map((customer) => customer.customer_id);
+      const [orderCounts, mvRows] = await Promise.all([
+        customerDB.prisma.orders.groupBy({
+          by: ['customer_id'],
+          where: { customer_id: { in: customerIds }, order_status: COUNTED_ORDER_STATUS },
+          _count: { _all: true },
+        }),
+        campaignDB.prisma.customers_mv.findMany({
+          where: { customer_id: { in: customerIds } },
+        }),
+      ]);
+
+      const ordersByCustomer = new Map(orderCounts.map((row) => [row.customer_id, row._count._all]));
+      const mvByCustomer = new Map(mvRows.map((row) => [row.customer_id, row]));
+      const writes = [];
+      const missing = [];
+
+      for (const customer of customers) {
+        report.scanned += 1;
+
+        const existing = mvByCustomer.get(customer.customer_id);
+        const expected = this.buildMVRow(customer, ordersByCustomer.get(customer.customer_id) || 0);
+
+        if (existing && existing.status === ERASED_STATUS) {
+          // Erased customers must never have their data restored
+          report.skipped_erased += 1;
+          continue;
+        }
+
+        const driftedFields = existing ? this.findDrift(existing, expected) : DRIFT_FIELDS;
+
+        if (!existing) {
+          report.created += 1;
+        } else if (driftedFields.length > 0) {
+          report.updated += 1;
+        } else {
+          report.unchanged += 1;
+        }
+
+        if (driftedFields.length > 0 && report.drift.length < this.maxDriftSamples) {
+          report.drift.push({
+            customer_id: customer.customer_id,
+            issue: existing ? 'stale' : 'missing',
+            fields: driftedFields,
+          });
+        }
+
+        if (!existing) {
+          missing.push({ customer_id: customer.customer_id, ...expected });
+          continue;
+        }
+
+        // Rows without drift are still rewritten so days_since_last_order is current.
+        // Rows that received a newer event since this page was read are left alone.
+        writes.push(
+          campaignDB.prisma.customers_mv.updateMany({
+            where: {
+              customer_id: customer.customer_id,
+              OR: [{ source_version: null }, { source_version: { lte: expected.source_version } }],
+            },
+            data: expected,
+          })
+        );
+      }
+
+      if (missing.length > 0) {
+        // skipDuplicates leaves rows created by the CustomerMV consumer in the meantime untouched
+        writes.push(campaignDB.prisma.customers_mv.createMany({ data: missing, skipDuplicates: true }));
+      }
+
+      if (!dryRun && writes.length > 0) {
+        await campaignDB.prisma.$transaction(writes);
+      }
+
+      console.log(`customers_mv resync: ${report.scanned} customers scanned`);
+    }
+  }
+
+  async removeDeletedCustomers(report, { dryRun, pageSize }) {
+    let lastId = null;
+
+    while (true) {
+      const mvRows = await campaignDB.prisma.customers_mv.findMany({
+        where: {
+          status: { not: ERASED_STATUS },
+          ...(lastId && { customer_id: { gt: lastId } }),
+        },
+        orderBy: { customer_id: 'asc' },
+        take: pageSize,
+        select: { customer_id: true, tenant_id: true },
+      });
+
+      if (mvRows.length === 0) break;
+      lastId = mvRows[mvRows.length - 1].customer_id;
+
+      const mvIds = mvRows.map((row) => row.customer_id);
+      const existing = await customerDB.prisma.customers.findMany({
+        where: { customer_id: { in: mvIds } },
+        select: { customer_id: true },
+      });
+      const existingIds = new Set(existing.map((customer) => customer.customer_id));
+      const deletedIds = mvIds.filter((customerId) => !existingIds.has(customerId));
+
+      if (deletedIds.length === 0) continue;
+
+      // communication_log references customers_mv, so those rows are anonymized instead of deleted
+      const referenced = await campaignDB.prisma.communication_log.findMany({
+        where: { customer_id: { in: deletedIds } },
+        distinct: ['customer_id'],
+        select: { customer_id: true },
+      });
+      const tenantByCustomer = new Map(mvRows.map((row) => [row.customer_id, row.tenant_id]));
+      const referencedIds = new Set(referenced.map((row) => row.customer_id));
+      const removableIds = deletedIds.filter((customerId) => !referencedIds.has(customerId));
+
+      for (const customerId of deletedIds) {
+        if (report.drift.length < this.maxDriftSamples) {
+          report.drift.push({ customer_id: customerId, issue: 'deleted', fields: [] });
+        }
+      }
+
+      report.removed += removableIds.length;
+      report.anonymized += referencedIds.size;
+
+      if (dryRun) continue;
+
+      if (removableIds.length > 0) {
+        await campaignDB.prisma.customers_mv.deleteMany({
+          where: { customer_id: { in: removableIds } },
+        });
+      }
+
+      for (const customerId of referencedIds) {
+        await customerMVConsumer.eraseCustomerMV(tenantByCustomer.get(customerId), customerId);
+      }
+    }
+  }
+
+  buildMVRow(customer, totalOrders) {
+    const lastOrderAt = customer.last_order_at ? new Date(customer.last_order_at) : null;
+
+    return {
+      tenant_id: customer.tenant_id,
+      name: customer.name?.trim() || null,
+      email: customer.email.toLowerCase().trim(),
+      total_spend: parseFloat(customer.total_spend || 0),
+      total_visits: customer.total_visits || 0,
+      total_orders: totalOrders,
+      last_order_at: lastOrderAt,
+      status: (customer.status || 'ACTIVE').toUpperCase(),
+      days_since_last_order: lastOrderAt ? Math.floor((new Date() - lastOrderAt) / MS_PER_DAY) : null,
+      source_version: customer.version,
+      synced_at: new Date(),
+    };
+  }
+
+  findDrift(existing, expected) {
+    return DRIFT_FIELDS.filter((field) => {
+      const current = existing[field];
+      const wanted = expected[field];
+
+      if (field === 'total_spend') {
+        return Math.round(parseFloat(current || 0) * 100) !== Math.round(wanted * 100);
+      }
+
+      if (field === 'last_order_at') {
+        return (current ? new Date(current).getTime() : null) !== (wanted ? wanted.getTime() : null);
+      }
+
+      return (current ?? null) !== wanted;
+    });
+  }
+}
+
+// Create and export singleton instance
+const customerMVResyncService = new CustomerMVResyncService();
+
+// Run a resync if this file is run directly: node customerMVResyncService.js [--dry-run]
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+
+  customerMVResyncService
+    .resync({ dryRun })
+    .then((report) => {
+      console.log(JSON.stringify(report, null, 2));
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('customers_mv resync failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = customerMVResyncService;
@@ -0,0 +1,90 @@
+const { campaignDB } = require('../../../shared/database');
+const campaignLifecycleService = require('./campaignLifecycleService');
+const campaignService = require('./campaignService');
+
+// customers_mv status for customers removed under a GDPR erasure request
+const ERASED_STATUS = 'ERASED';
+
+class DashboardService {
+  constructor() {
+    this.recentCampaignCount = 5; // Latest campaigns shown on the dashboard
+  }
+
+  /**
+   * Aggregates the figures shown on a tenant's campaign dashboard: audience size,
+   * segment and campaign counts, and delivery totals across its campaigns.
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<Object>} - Dashboard data
+   */
+  async getDashboard(tenantId) {
+    const tenant = { tenant_id: tenantId };
+    const notErased = { OR: [{ status: null }, { status: { not: ERASED_STATUS } }] };
+
+    const [
+      totalCustomers,
+      activeCustomers,
+      totalSegments,
+      campaignsByStatus,
+      deliveryTotals,
+      recentCampaigns,
+    ] = await Promise.all([
+      campaignDB.prisma.customers_mv.count({ where: { ...tenant, ...notErased } }),
+      campaignDB.prisma.customers_mv.count({ where: { ...tenant, status: 'ACTIVE' } }),
+      campaignDB.prisma.segments.count({ where: tenant }),
+      campaignDB.prisma.campaigns.groupBy({
+        by: ['status'],
+        where: tenant,
+        _count: { _all: true },
+      }),
+      campaignDB.prisma.campaign_stats.aggregate({
+        where: { campaigns: tenant },
+        _sum: { total_sent: true, total_delivered: true, total_failed: true },
+      }),
+      campaignDB.prisma.campaigns.findMany({
+        where: tenant,
+        take: this.recentCampaignCount,
+        orderBy: [{ created_at: 'desc' }, { campaign_id: 'desc' }],
+        include: { campaign_stats: true },
+      }),
+    ]);
+
+    // Legacy statuses are folded into their lifecycle equivalents
+    const campaigns = campaignsByStatus.reduce(
+      (counts, row) => {
+        const status = campaignLifecycleService.normalizeStatus(row.status);
+        counts.by_status[status] = (counts.by_status[status] || 0) + row._count._all;
+        counts.total += row._count._all;
+        return counts;
+      },
+      { total: 0, by_status: {} }
+    );
+
+    const totalSent = deliveryTotals._sum.total_sent || 0;
+    const totalDelivered = deliveryTotals._sum.total_delivered || 0;
+
+    return {
+      customers: {
+        total: totalCustomers,
+        active: activeCustomers,
+      },
+      segments: {
+        total: totalSegments,
+      },
+      campaigns,
+      messages: {
+        total_sent: totalSent,
+        total_delivered: totalDelivered,
+        total_failed: deliveryTotals._sum.total_failed || 0,
+        // Same rounding as campaign_stats.delivery_rate
+        delivery_rate: totalSent === 0 ? 0 : Math.round((totalDelivered / totalSent) * 10000) / 100,
+      },
+      recent_campaigns: recentCampaigns.map((campaign) => campaignService.formatStats(campaign)),
+      generated_at: new Date().toISOString(),
+    };
+  }
+}
+
+// Create and export singleton instance
+const dashboardService = new DashboardService();
+
+module.exports = dashboardService;
@@ -1,6 +1,7 @@
 const { campaignDB } = require('../../../shared/database');
 const rabbitMQ = require('../../../shared/utils/rabbitmq');
 const mockReceiverService = require('./mockReceiverService');
+const { HALTED_STATUSES } = require('./campaignLifecycleService');
 
 class MessageSendingService {
   constructor() {
@@ -36,32 +37,7 @@ class MessageSendingService {
     while (this.isRunning) {
       try {
         // Fetch pending messages that haven't exceeded max attempts
-        const pendingMessages = await campaignDB.prisma.communication_log.findMany({
-          where: {
-            status: 'PENDING',
-            attempts: {
-              lt: campaignDB.prisma.communication_log.fields.max_attempts
-            }
-          },
-          take: this.batchSize,
-          orderBy: {
-            created_at: 'asc'
-          },
-          include: {
-            campaigns: {
-              select: {
-                name: true,
-                campaign_type: true
-              }
-            },
-            customers: {
-              select: {
-                name: true,
-                email: true
-              }
-            }
-          }
-        });
+        const pendingMessages = await this.fetchPendingMessages();
 
         if (pendingMessages.length > 0) {
           console.log(`Processing ${pendingMessages.length} pending messages...`);
@@ -79,6 +55,41 @@ class MessageSendingService {
     }
   }
 
+  // Fetch pending messages that haven't exceeded max attempts, skipping paused or cancelled campaigns
+  async fetchPendingMessages() {
+    return campaignDB.prisma.communication_log.findMany({
+      where: {
+        status: 'PENDING',
+        attempts: {
+          lt: campaignDB.prisma.communication_log.fields.max_attempts
+        },
+        NOT: {
+          campaigns: {
+            status: { in: HALTED_STATUSES }
+          }
+        }
+      },
+      take: this.batchSize,
+      orderBy: {
+        created_at: 'asc'
+      },
+      include: {
+        campaigns: {
+          select: {
+            name: true,
+            campaign_type: true
+          }
+        },
+        customers: {
+          select: {
+            name: true,
+            email: true
+          }
+        }
+      }
+    });
+  }
+
   async processMessageDelivery(communicationLog) {
     try {
       // Update attempt count and last attempt time
@@ -119,6 +130,7 @@ class MessageSendingService {
 
       // Create delivery response for queue processing
       const responseData = {
+        tenant_id: communicationLog.tenant_id,
         communication_id: communicationLog.communication_id,
         campaign_id: communicationLog.campaign_id,
         customer_id: communicationLog.customer_id,
@@ -147,6 +159,7 @@ class MessageSendingService {
       
       // Create failed response for queue processing
       const failedResponseData = {
+        tenant_id: communicationLog.tenant_id,
         communication_id: communicationLog.communication_id,
         campaign_id: communicationLog.campaign_id,
         customer_id: communicationLog.customer_id,
@@ -196,32 +209,7 @@ class MessageSendingService {
     console.log('Manually triggering message processing...');
     // Process one batch immediately
     try {
-      const pendingMessages = await campaignDB.prisma.communication_log.findMany({
-        where: {
-          status: 'PENDING',
-          attempts: {
-            lt: campaignDB.prisma.communication_log.fields.max_attempts
-          }
-        },
-        take: this.batchSize,
-        orderBy: {
-          created_at: 'asc'
-        },
-        include: {
-          campaigns: {
-            select: {
-              name: true,
-              campaign_type: true
-            }
-          },
-          customers: {
-            select: {
-              name: true,
-              email: true
-            }
-          }
-        }
-      });
+      const pendingMessages = await this.fetchPendingMessages();
 
       for (const message of pendingMessages) {
         await this.processMessageDelivery(message);
@@ -0,0 +1,301 @@
+const { campaignDB } = require('../../../shared/database');
+
+// customers_mv columns that segment rules may reference, keyed to their value type
+const FIELD_TYPES = {
+  total_spend: 'number',
+  total_visits: 'number',
+  total_orders: 'number',
+  days_since_last_order: 'number',
+  last_order_at: 'date',
+  status: 'string',
+  name: 'string',
+  email: 'string',
+};
+
+const OPERATORS_BY_TYPE = {
+  number: ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'between', 'in', 'not_in', 'is_null', 'is_not_null'],
+  date: ['gt', 'gte', 'lt', 'lte', 'between', 'is_null', 'is_not_null'],
+  string: ['eq', 'neq', 'in', 'not_in', 'contains', 'is_null', 'is_not_null'],
+};
+
+const GROUP_OPERATORS = ['AND', 'OR'];
+
+class SegmentRuleEngine {
+  constructor() {
+    this.maxDepth = 5;
+    this.maxConditions = 50;
+  }
+
+  /**
+   * Validates a segment rule tree without touching the database.
+   *
+   * A rule tree is either a group `{ operator: 'AND' | 'OR', conditions: [...] }`
+   * or a single condition `{ field, operator, value }`. Groups may be nested.
+   * @param {Object} rules - Rule tree as stored in segments.rules
+   * @returns {Array<{field: string, message: string}>} - Validation errors, empty when valid
+   */
+  validateRules(rules) {
+    const errors = [];
+    const state = { conditionCount: 0 };
+
+    this.validateNode(rules, 'rules', 1, errors, state);
+
+    if (state.conditionCount > this.maxConditions) {
+      errors.push({
+        field: 'rules',
+        message: `Segment rules may contain at most ${this.maxConditions} conditions`,
+      });
+    }
+
+    return errors;
+  }
+
+  validateNode(node, path, depth, errors, state) {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+      errors.push({ field: path, message: 'Rule must be an object' });
+      return;
+    }
+
+    if (depth > this.maxDepth) {
+      errors.push({
+        field: path,
+        message: `Rule groups may be nested at most ${this.maxDepth} levels deep`,
+      });
+      return;
+    }
+
+    if (this.isGroup(node)) {
+      const operator = String(node.operator || 'AND').toUpperCase();
+      if (!GROUP_OPERATORS.includes(operator)) {
+        errors.push({
+          field: `${path}.operator`,
+          message: `Group operator must be one of ${GROUP_OPERATORS.join(', ')}`,
+        });
+      }
+
+      if (node.conditions.length === 0) {
+        errors.push({
+          field: `${path}.conditions`,
+          message: 'Rule group must contain at least one condition',
+        });
+      }
+
+      node.conditions.forEach((child, index) => {
+        this.validateNode(child, `${path}.conditions.${index}`, depth + 1, errors, state);
+      });
+      return;
+    }
+
+    state.conditionCount += 1;
+    this.validateCondition(node, path, errors);
+  }
+
+  validateCondition(condition, path, errors) {
+    const { field, operator, value } = condition;
+    const fieldType = FIELD_TYPES[field];
+
+    if (!fieldType) {
+      errors.push({
+        field: `${path}.field`,
+        message: `Unknown field "${field}". Allowed fields: ${Object.keys(FIELD_TYPES).join(', ')}`,
+      });
+      return;
+    }
+
+    const allowedOperators = OPERATORS_BY_TYPE[fieldType];
+    if (!allowedOperators.includes(operator)) {
+      errors.push({
+        field: `${path}.operator`,
+        message: `Operator "${operator}" is not supported for ${field}. Allowed operators: ${allowedOperators.join(', ')}`,
+      });
+      return;
+    }
+
+    if (operator === 'is_null' || operator === 'is_not_null') {
+      return;
+    }
+
+    if (operator === 'between') {
+      if (!Array.isArray(value) || value.length !== 2) {
+        errors.push({
+          field: `${path}.value`,
+          message: 'Operator "between" requires a [min, max] array',
+        });
+        return;
+      }
+      value.forEach((item, index) => {
+        if (!this.isValidValue(fieldType, item)) {
+          errors.push({
+            field: `${path}.value.${index}`,
+            message: `Expected a ${fieldType} value for ${field}`,
+          });
+        }
+      });
+      return;
+    }
+
+    if (operator === 'in' || operator === 'not_in') {
+      if (!Array.isArray(value) || value.length === 0) {
+        errors.push({
+          field: `${path}.value`,
+          message: `Operator "${operator}" requires a non-empty array`,
+        });
+        return;
+      }
+      value.forEach((item, index) => {
+        if (!this.isValidValue(fieldType, item)) {
+          errors.push({
+            field: `${path}.value.${index}`,
+            message: `Expected a ${fieldType} value for ${field}`,
+          });
+        }
+      });
+      return;
+    }
+
+    if (!this.isValidValue(fieldType, value)) {
+      errors.push({
+        field: `${path}.value`,
+        message: `Expected a ${fieldType} value for ${field}`,
+      });
+    }
+  }
+
+  isGroup(node) {
+    return Array.isArray(node.conditions);
+  }
+
+  isValidValue(fieldType, value) {
+    if (fieldType === 'number') {
+      return typeof value === 'number' && Number.isFinite(value);
+    }
+    if (fieldType === 'date') {
+      return (typeof value === 'string' || typeof value === 'number') && !isNaN(new Date(value).getTime());
+    }
+    return typeof value === 'string' && value.length > 0;
+  }
+
+  /**
+   * Compiles a rule tree into a Prisma `where` clause for customers_mv
+   * @param {Object} rules - Rule tree as stored in segments.rules
+   * @returns {Object} - Prisma where clause
+   */
+  buildWhereClause(rules) {
+    const errors = this.validateRules(rules);
+
+    if (errors.length > 0) {
+      const details = errors.map((error) => `${error.field}: ${error.message}`).join('; ');
+      throw new Error(`Invalid segment rules: ${details}`);
+    }
+
+    return this.compileNode(rules);
+  }
+
+  /**
+   * Compiles a rule tree into a `where` clause limited to one tenant's customers
+   * @param {string} tenantId - Tenant whose customers_mv rows are searched
+   * @param {Object} rules - Rule tree as stored in segments.rules
+   * @returns {Object} - Prisma where clause
+   */
+  buildAudienceWhere(tenantId, rules) {
+    return { AND: [{ tenant_id: tenantId }, this.buildWhereClause(rules)] };
+  }
+
+  compileNode(node) {
+    if (this.isGroup(node)) {
+      const operator = String(node.operator || 'AND').toUpperCase();
+      return {
+        [operator]: node.conditions.map((child) => this.compileNode(child)),
+      };
+    }
+
+    return this.compileCondition(node);
+  }
+
+  compileCondition({ field, operator, value }) {
+    const fieldType = FIELD_TYPES[field];
+    const normalize = (item) => this.normalizeValue(field, fieldType, item);
+
+    switch (operator) {
+      case 'eq':
+        return { [field]: normalize(value) };
+      case 'neq':
+        return { [field]: { not: normalize(value) } };
+      case 'gt':
+      case 'gte':
+      case 'lt':
+      case 'lte':
+        return { [field]: { [operator]: normalize(value) } };
+      case 'between':
+        return {
+          [field]: { gte: normalize(value[0]), lte: normalize(value[1]) },
+        };
+      case 'in':
+        return { [field]: { in: value.map(normalize) } };
+      case 'not_in':
+        return { [field]: { notIn: value.map(normalize) } };
+      case 'contains':
+        return { [field]: { contains: value, mode: 'insensitive' } };
+      case 'is_null':
+        return { [field]: null };
+      case 'is_not_null':
+        return { [field]: { not: null } };
+      default:
+        throw new Error(`Unsupported operator: ${operator}`);
+    }
+  }
+
+  normalizeValue(field, fieldType, value) {
+    if (fieldType === 'date') {
+      return new Date(value);
+    }
+    // customers_mv stores status upper-cased and email lower-cased (see CustomerMVConsumer)
+    if (field === 'status') {
+      return value.toUpperCase();
+    }
+    if (field === 'email') {
+      return value.toLowerCase();
+    }
+    return value;
+  }
+
+  /**
+   * Counts a tenant's customers matching a rule tree
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} rules - Rule tree
+   * @returns {Promise<number>} - Audience size
+   */
+  async countAudience(tenantId, rules) {
+    const where = this.buildAudienceWhere(tenantId, rules);
+    return campaignDB.prisma.customers_mv.count({ where });
+  }
+
+  /**
+   * Fetches a page of a tenant's customers matching a rule tree
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} rules - Rule tree
+   * @param {Object} options - Prisma pagination/select options (take, skip, cursor, select)
+   * @returns {Promise<Array>} - Matching customers_mv rows ordered by customer_id
+   */
+  async findAudience(tenantId, rules, options = {}) {
+    const where = this.buildAudienceWhere(tenantId, rules);
+    return campaignDB.prisma.customers_mv.findMany({
+      where,
+      orderBy: { customer_id: 'asc' },
+      ...options,
+    });
+  }
+
+  getSupportedFields() {
+    return Object.entries(FIELD_TYPES).map(([field, type]) => ({
+      field,
+      type,
+      operators: OPERATORS_BY_TYPE[type],
+    }));
+  }
+}
+
+// Create and export singleton instance
+const segmentRuleEngine = new SegmentRuleEngine();
+
+module.exports = segmentRuleEngine;
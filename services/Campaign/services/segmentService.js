@@ -0,0 +1,113 @@
+const { campaignDB } = require('../../../shared/database');
+const { ServiceError } = require('../../../shared/utils/errors');
+const segmentRuleEngine = require('./segmentRuleEngine');
+
+class SegmentService {
+  /**
+   * Lists a tenant's segments, newest first, with the number of campaigns using each
+   * @param {Object} options - { tenantId, search, limit, cursor }
+   * @returns {Promise<Object>} - { segments, hasMore, nextCursor }
+   */
+  async listSegments({ tenantId, search, limit, cursor }) {
+    const where = { tenant_id: tenantId };
+    if (search) where.name = { contains: search, mode: 'insensitive' };
+
+    // Fetch one extra row to know whether another page exists
+    const segments = await campaignDB.prisma.segments.findMany({
+      where,
+      take: limit + 1,
+      ...(cursor && { cursor: { segment_id: cursor }, skip: 1 }),
+      orderBy: [{ created_at: 'desc' }, { segment_id: 'desc' }],
+      include: { _count: { select: { campaigns: true } } },
+    });
+
+    const hasMore = segments.length > limit;
+    const page = hasMore ? segments.slice(0, limit) : segments;
+
+    return {
+      segments: page.map((segment) => this.formatSegment(segment)),
+      hasMore,
+      nextCursor: hasMore ? page[page.length - 1].segment_id : null,
+    };
+  }
+
+  async getSegment(tenantId, segmentId) {
+    const segment = await campaignDB.prisma.segments.findUnique({
+      where: { segment_id: segmentId, tenant_id: tenantId },
+      include: { _count: { select: { campaigns: true } } },
+    });
+
+    if (!segment) {
+      throw new ServiceError(`Segment ${segmentId} not found`, 404);
+    }
+
+    return this.formatSegment(segment);
+  }
+
+  /**
+   * Updates a segment. preview_count is recomputed whenever the rules change.
+   * Campaigns already launched keep the audience they were launched with.
+   * @param {string} tenantId - Tenant the segment belongs to
+   * @param {string} segmentId - Segment ID
+   * @param {Object} changes - { name, description, rules }, already validated
+   * @returns {Promise<Object>} - Updated segment
+   */
+  async updateSegment(tenantId, segmentId, changes) {
+    await this.getSegment(tenantId, segmentId);
+
+    const data = { ...changes, updated_at: new Date() };
+
+    if (changes.rules) {
+      data.preview_count = await segmentRuleEngine.countAudience(tenantId, changes.rules);
+    }
+
+    await campaignDB.prisma.segments.update({
+      where: { segment_id: segmentId, tenant_id: tenantId },
+      data,
+    });
+
+    console.log(`Segment ${segmentId} updated: ${Object.keys(changes).join(', ')}`);
+    return this.getSegment(tenantId, segmentId);
+  }
+
+  /**
+   * Deletes a segment that no campaign uses
+   * @param {string} tenantId - Tenant the segment belongs to
+   * @param {string} segmentId - Segment ID
+   * @returns {Promise<void>}
+   */
+  async deleteSegment(tenantId, segmentId) {
+    const segment = await this.getSegment(tenantId, segmentId);
+
+    if (segment.campaign_count > 0) {
+      throw new ServiceError(
+        `Segment ${segmentId} is used by ${segment.campaign_count} campaign(s) and cannot be deleted`,
+        409
+      );
+    }
+
+    try {
+      await campaignDB.prisma.segments.delete({
+        where: { segment_id: segmentId, tenant_id: tenantId },
+      });
+    } catch (error) {
+      // A campaign was created for the segment after the check above
+      if (error.code === 'P2003') {
+        throw new ServiceError(`Segment ${segmentId} is used by a campaign and cannot be deleted`, 409);
+      }
+      throw error;
+    }
+
+    console.log(`Segment ${segmentId} deleted`);
+  }
+
+  formatSegment(segment) {
+    const { _count: counts, ...fields } = segment;
+    return { ...fields, campaign_count: counts.campaigns };
+  }
+}
+
+// Create and export singleton instance
+const segmentService = new SegmentService();
+
+module.exports = segmentService;
@@ -0,0 +1,83 @@
+const { formatCurrency, formatDate } = require('../../../shared/utils/formatters');
+const {
+  TEMPLATE_FIELDS,
+  PLACEHOLDER_PATTERN,
+  BRACES_PATTERN,
+  parsePlaceholders,
+  validateMessageTemplate,
+} = require('../../../shared/utils/campaignRules');
+
+// Format applied when a placeholder does not name one
+const DEFAULT_FORMATS = {
+  money: 'currency',
+  date: 'date',
+};
+
+class TemplateRenderer {
+  /**
+   * Lists the placeholders in a template
+   * @param {string} template - Message template
+   * @returns {Array<Object>} - Parsed placeholders ({ raw, field, format, fallback, valid })
+   */
+  parse(template) {
+    return parsePlaceholders(template);
+  }
+
+  /**
+   * Validates a template against the customers_mv fields and supported formats
+   * @param {string} template - Message template
+   * @returns {Array<{field: string, message: string}>} - Validation errors, empty when valid
+   */
+  validate(template) {
+    return validateMessageTemplate(template).map((message) => ({ field: 'message_template', message }));
+  }
+
+  /**
+   * Renders a template for a single customer. Placeholders without a value fall
+   * back to their default, or to an empty string when none is given.
+   * @param {string} template - Message template
+   * @param {Object} customer - customers_mv row
+   * @returns {string} - Rendered message
+   */
+  render(template, customer) {
+    return template.replace(BRACES_PATTERN, (raw) => {
+      const parsed = raw.match(PLACEHOLDER_PATTERN);
+      if (!parsed || !TEMPLATE_FIELDS[parsed[1]]) {
+        return raw;
+      }
+
+      const [, field, format, fallback] = parsed;
+      const value = customer[field];
+
+      if (value === null || value === undefined || value === '') {
+        return fallback === undefined ? '' : fallback;
+      }
+
+      return this.formatValue(value, TEMPLATE_FIELDS[field], format ? format.toLowerCase() : null);
+    });
+  }
+
+  formatValue(value, fieldType, format) {
+    const appliedFormat = format || DEFAULT_FORMATS[fieldType];
+
+    switch (appliedFormat) {
+      case 'currency':
+        return formatCurrency(Number(value));
+      case 'number':
+        return new Intl.NumberFormat('en-IN').format(Number(value));
+      case 'date':
+        return formatDate(value);
+      default:
+        return String(value);
+    }
+  }
+
+  getSupportedFields() {
+    return Object.keys(TEMPLATE_FIELDS);
+  }
+}
+
+// Create and export singleton instance
+const templateRenderer = new TemplateRenderer();
+
+module.exports = templateRenderer;
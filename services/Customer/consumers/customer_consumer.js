@@ -1,9 +1,16 @@
 const { customerDB } = require('../../../shared/database');
 const rabbitMQ = require('../../../shared/utils/rabbitmq');
+const { NonRetryableError } = require('../../../shared/utils/errors');
+const ingestionJobService = require('../services/ingestionJobService');
+const outboxService = require('../services/outboxService');
+const idempotencyService = require('../services/idempotencyService');
 
 class CustomerConsumer {
   constructor() {
     this.queueName = 'customer_ingestion_queue';
+    this.consumerName = 'customer_consumer'; // Scope for processed message keys
+    this.maxAttempts = 5; // Initial delivery plus retries after 5s, 10s, 20s and 40s
+    this.retryDelay = 5000;
   }
 
   async start() {
@@ -26,6 +33,9 @@ class CustomerConsumer {
         {
           noAck: false,
           prefetch: 1,
+          maxAttempts: this.maxAttempts,
+          retryDelay: this.retryDelay,
+          onFinalFailure: this.recordJobFailure.bind(this),
         }
       );
 
@@ -40,24 +50,39 @@ class CustomerConsumer {
 
   async processCustomerMessage(messageContent, message) {
     try {
-      if (!messageContent.data || !messageContent.eventType) {
-        throw new Error('Invalid message format: missing data or eventType');
+      if (!messageContent.data || !messageContent.eventType || !messageContent.tenant_id) {
+        throw new NonRetryableError('Invalid message format: missing data, eventType or tenant_id');
       }
 
-      const customerData = messageContent.data;
+      const { tenant_id: tenantId, data: customerData } = messageContent;
 
       // Validate required fields
       if (!customerData.name || !customerData.email) {
-        throw new Error('Invalid customer data: name and email are required');
+        throw new NonRetryableError('Invalid customer data: name and email are required');
       }
 
       // Process customer data based on event type
       if (messageContent.eventType === 'customer_data_received') {
-        const result = await this.upsertCustomer(customerData);
-        console.log(`Customer ${result.operation}: ${customerData.email}`);
-        
-        // Publish CustomerMV event with actual customer_id after DB operation
-        await this.publishCustomerMVEvent(result.customerId, customerData, result.operation);
+        const messageKey = idempotencyService.getMessageKey(message);
+
+        // The customer and its CustomerMV outbox event commit together; the outbox relay publishes the event
+        const result = await customerDB.prisma.$transaction(async (tx) => {
+          if (!(await idempotencyService.claimMessage(this.consumerName, messageContent.eventType, tenantId, messageKey, tx))) {
+            return null;
+          }
+
+          const upserted = await this.upsertCustomer(tenantId, customerData, tx);
+          await outboxService.recordCustomerMVUpsert(upserted.customer, upserted.operation, tx);
+          return upserted;
+        });
+
+        if (result) {
+          console.log(`Customer ${result.operation}: ${customerData.email}`);
+          await ingestionJobService.recordSuccess(messageContent.job_id);
+        } else {
+          console.log(`Duplicate message ${messageKey} skipped: ${customerData.email}`);
+          await ingestionJobService.recordDuplicate(messageContent.job_id);
+        }
       } else {
         console.warn(`Unknown event type: ${messageContent.eventType}`);
       }
@@ -67,56 +92,60 @@ class CustomerConsumer {
     }
   }
 
-  async upsertCustomer(customerData) {
+  // Called by consumeMessages once a message has exhausted its retries or failed non-retryably
+  async recordJobFailure(messageContent, message, error) {
+    if (!messageContent) return;
+
+    await ingestionJobService.recordFailure(messageContent.job_id, {
+      row: messageContent.row,
+      messageId: message.properties.messageId,
+      eventType: messageContent.eventType,
+      error,
+      payload: messageContent.data,
+    });
+  }
+
+  // Order aggregates (total_spend, total_visits, last_order_at) are owned by
+  // customerStatsService; any sent with the customer are ignored
+  async upsertCustomer(tenantId, customerData, client = customerDB.prisma) {
     try {
-      const {
-        name,
-        email,
-        phone,
-        total_spend = 0.0,
-        total_visits = 0,
-        last_order_at,
-        status = 'ACTIVE',
-      } = customerData;
+      const { name, email, phone, status = 'ACTIVE' } = customerData;
 
       const dbData = {
         name: name.trim(),
         email: email.toLowerCase().trim(),
         phone: phone ? phone.trim() : null,
-        total_spend: parseFloat(total_spend),
-        total_visits: parseInt(total_visits),
-        last_order_at: last_order_at ? new Date(last_order_at) : null,
         status: status.toUpperCase(),
         updated_at: new Date(),
       };
 
-      // Try to find existing customer by email
-      const existingCustomer = await customerDB.prisma.customers.findUnique({
-        where: { email: dbData.email },
+      // Try to find existing customer by email; emails are unique per tenant
+      const existingCustomer = await client.customers.findUnique({
+        where: { tenant_id_email: { tenant_id: tenantId, email: dbData.email } },
       });
 
       if (existingCustomer) {
-        const updatedCustomer = await customerDB.prisma.customers.update({
-          where: { email: dbData.email },
+        const updatedCustomer = await client.customers.update({
+          where: { customer_id: existingCustomer.customer_id },
           data: {
             name: dbData.name,
             phone: dbData.phone,
-            total_spend: dbData.total_spend,
-            total_visits: dbData.total_visits,
-            last_order_at: dbData.last_order_at,
             status: dbData.status,
             updated_at: dbData.updated_at,
+            version: { increment: 1 },
           },
         });
 
         return {
           operation: 'updated',
           customerId: updatedCustomer.customer_id,
+          customer: updatedCustomer,
         };
       } else {
-        const newCustomer = await customerDB.prisma.customers.create({
+        const newCustomer = await client.customers.create({
           data: {
             ...dbData,
+            tenant_id: tenantId,
             created_at: new Date(),
           },
         });
@@ -124,52 +153,12 @@ class CustomerConsumer {
         return {
           operation: 'created',
           customerId: newCustomer.customer_id,
+          customer: newCustomer,
         };
       }
     } catch (error) {
       console.error('Database error during customer upsert:', error);
-      throw new Error(`Failed to upsert customer: ${error.message}`);
-    }
-  }
-
-  async publishCustomerMVEvent(customerId, customerData, operation) {
-    try {
-      // Get total orders count for this customer
-      const orderCount = await customerDB.prisma.orders.count({
-        where: { customer_id: customerId }
-      });
-
-      const customerMVEventData = {
-        eventType: 'customer_mv_upsert',
-        timestamp: new Date().toISOString(),
-        source: 'customer_consumer',
-        data: {
-          customer_id: customerId,
-          name: customerData.name,
-          email: customerData.email,
-          total_spend: customerData.total_spend || 0.0,
-          total_visits: customerData.total_visits || 0,
-          total_orders: orderCount,
-          last_order_at: customerData.last_order_at || null,
-          status: customerData.status || 'ACTIVE',
-          operation: operation // 'created' or 'updated'
-        },
-      };
-
-      const published = await rabbitMQ.publishMessage(
-        'data_ingestion',
-        'customer_mv',
-        customerMVEventData
-      );
-
-      if (published) {
-        console.log(`CustomerMV event published for customer: ${customerData.email} (${operation})`);
-      } else {
-        console.warn(`Failed to publish CustomerMV event for customer: ${customerData.email}`);
-      }
-    } catch (error) {
-      console.error('Error publishing CustomerMV event:', error);
-      // Don't throw - we don't want to fail customer processing if MV event fails
+      throw new Error(`Failed to upsert customer: ${error.message}`, { cause: error });
     }
   }
 
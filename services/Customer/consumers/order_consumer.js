@@ -1,9 +1,18 @@
 const { customerDB } = require('../../../shared/database');
 const rabbitMQ = require('../../../shared/utils/rabbitmq');
+const { NonRetryableError } = require('../../../shared/utils/errors');
+const ingestionJobService = require('../services/ingestionJobService');
+const outboxService = require('../services/outboxService');
+const idempotencyService = require('../services/idempotencyService');
+const customerStatsService = require('../services/customerStatsService');
+const orderStatusService = require('../services/orderStatusService');
 
 class OrderConsumer {
   constructor() {
     this.queueName = 'order_ingestion_queue';
+    this.consumerName = 'order_consumer'; // Scope for processed message keys
+    this.maxAttempts = 5; // Initial delivery plus retries after 5s, 10s, 20s and 40s
+    this.retryDelay = 5000;
   }
 
   async start() {
@@ -27,6 +36,9 @@ class OrderConsumer {
         {
           noAck: false,
           prefetch: 1,
+          maxAttempts: this.maxAttempts,
+          retryDelay: this.retryDelay,
+          onFinalFailure: this.recordJobFailure.bind(this),
         }
       );
 
@@ -42,31 +54,47 @@ class OrderConsumer {
   async processOrderMessage(messageContent, message) {
     try {
       // Validate message structure
-      if (!messageContent.data || !messageContent.eventType) {
-        throw new Error('Invalid message format: missing data or eventType');
+      if (!messageContent.data || !messageContent.eventType || !messageContent.tenant_id) {
+        throw new NonRetryableError('Invalid message format: missing data, eventType or tenant_id');
       }
 
-      const orderData = messageContent.data;
-
-      // Validate required fields
-      if (!orderData.customer_email || !orderData.order_amount) {
-        throw new Error('Invalid order data: customer_email and order_amount are required');
-      }
+      const { tenant_id: tenantId, data: orderData } = messageContent;
 
       // Process order data based on event type
       if (messageContent.eventType === 'order_data_received') {
-        const result = await this.createOrder(orderData);
-        console.log(`Order ${result.operation}: Order ID ${result.orderId} for Customer ${result.customerId} (${orderData.customer_email})`);
-        
-        // Update customer stats after successful order creation
-        if (result.operation === 'created') {
-          const updatedCustomerStats = await this.updateCustomerStats(result.customerId, orderData.order_amount);
-          
-          // Publish CustomerMV event with updated stats
-          if (updatedCustomerStats) {
-            await this.publishCustomerMVEvent(updatedCustomerStats);
+        // Validate required fields
+        if (!orderData.customer_email || !orderData.order_amount) {
+          throw new NonRetryableError('Invalid order data: customer_email and order_amount are required');
+        }
+
+        const messageKey = idempotencyService.getMessageKey(message);
+
+        // The order, the customer's updated stats and the CustomerMV outbox event commit together
+        const result = await customerDB.prisma.$transaction(async (tx) => {
+          // A redelivery or client retry must not insert the order or count its spend twice
+          if (!(await idempotencyService.claimMessage(this.consumerName, messageContent.eventType, tenantId, messageKey, tx))) {
+            return null;
+          }
+
+          const created = await this.createOrder(tenantId, orderData, tx);
+          if (created.operation === 'duplicate') {
+            return created;
           }
+
+          const updatedCustomer = await customerStatsService.applyOrderCreated(created.order, tx);
+          await outboxService.recordCustomerMVUpsert(updatedCustomer, 'stats_updated', tx);
+          return created;
+        });
+
+        if (result) {
+          console.log(`Order ${result.operation}: Order ID ${result.orderId} for Customer ${result.customerId} (${orderData.customer_email})`);
+          await ingestionJobService.recordSuccess(messageContent.job_id);
+        } else {
+          console.log(`Duplicate message ${messageKey} skipped: order for ${orderData.customer_email}`);
+          await ingestionJobService.recordDuplicate(messageContent.job_id);
         }
+      } else if (messageContent.eventType === 'order_status_changed') {
+        await this.processStatusChange(messageContent, message);
       } else {
         console.warn(`Unknown event type: ${messageContent.eventType}`);
       }
@@ -76,136 +104,135 @@ class OrderConsumer {
     }
   }
 
-  async createOrder(orderData) {
+  async processStatusChange(messageContent, message) {
+    const { tenant_id: tenantId, data } = messageContent;
+    const { order_id, order_status, reason, requested_by } = data;
+
+    if (!order_id || !order_status) {
+      throw new NonRetryableError('Invalid order status change: order_id and order_status are required');
+    }
+
+    const messageKey = idempotencyService.getMessageKey(message);
+
+    // The status, the customer's reversed or applied stats, the audit entry and the CustomerMV
+    // outbox event commit together. A missing order or disallowed transition is not retried.
+    const result = await customerDB.prisma.$transaction(async (tx) => {
+      if (!(await idempotencyService.claimMessage(this.consumerName, messageContent.eventType, tenantId, messageKey, tx))) {
+        return null;
+      }
+
+      return orderStatusService.applyStatusChange(
+        tenantId,
+        order_id,
+        order_status,
+        { actor: requested_by, reason },
+        tx
+      );
+    });
+
+    if (result) {
+      console.log(`Order ${order_id} moved from ${result.previousStatus} to ${order_status}`);
+      await ingestionJobService.recordSuccess(messageContent.job_id);
+    } else {
+      console.log(`Duplicate message ${messageKey} skipped: status change for order ${order_id}`);
+      await ingestionJobService.recordDuplicate(messageContent.job_id);
+    }
+  }
+
+  // Called by consumeMessages once a message has exhausted its retries or failed non-retryably
+  async recordJobFailure(messageContent, message, error) {
+    if (!messageContent) return;
+
+    await ingestionJobService.recordFailure(messageContent.job_id, {
+      row: messageContent.row,
+      messageId: message.properties.messageId,
+      eventType: messageContent.eventType,
+      error,
+      payload: messageContent.data,
+    });
+  }
+
+  async createOrder(tenantId, orderData, client = customerDB.prisma) {
     try {
       const {
         customer_email,
         order_amount,
         order_status = 'COMPLETED',
+        currency = 'INR',
+        channel,
+        source,
+        external_order_id,
+        line_items = [],
       } = orderData;
 
       // Find customer by email to get customer_id
-      const customer = await customerDB.prisma.customers.findUnique({
-        where: { email: customer_email.toLowerCase() },
+      const customer = await client.customers.findUnique({
+        where: { tenant_id_email: { tenant_id: tenantId, email: customer_email.toLowerCase() } },
         select: { customer_id: true, email: true, name: true },
       });
 
       if (!customer) {
-        throw new Error(`Customer with email ${customer_email} does not exist`);
+        // Retryable: the customer's own ingestion message may still be in flight. The email is
+        // left out, since the message is kept in ingestion_job_failures and dead-letter headers.
+        throw new Error('No customer exists with the order\'s customer_email');
+      }
+
+      // An order already ingested under the same source and external id is not created or counted again
+      if (source && external_order_id) {
+        const existingOrder = await client.orders.findUnique({
+          where: {
+            tenant_id_source_external_order_id: { tenant_id: tenantId, source, external_order_id },
+          },
+        });
+
+        if (existingOrder) {
+          return {
+            operation: 'duplicate',
+            orderId: existingOrder.order_id,
+            customerId: existingOrder.customer_id,
+            order: existingOrder,
+          };
+        }
       }
 
       // Prepare data for database using the found customer_id
       const dbData = {
+        tenant_id: tenantId,
         customer_id: customer.customer_id,
         order_amount: parseFloat(order_amount),
         order_status: order_status.toUpperCase(),
+        currency: currency.toUpperCase(),
+        channel: channel || null,
+        source: source || null,
+        external_order_id: external_order_id || null,
         created_at: new Date(),
       };
 
-      // Create new order
-      const newOrder = await customerDB.prisma.orders.create({
-        data: dbData,
+      // Create new order together with its line items
+      const newOrder = await client.orders.create({
+        data: {
+          ...dbData,
+          ...(line_items.length > 0 && {
+            order_items: {
+              create: line_items.map((item) => ({
+                sku: item.sku,
+                quantity: parseInt(item.quantity),
+                unit_price: parseFloat(item.unit_price),
+              })),
+            },
+          }),
+        },
       });
 
       return {
         operation: 'created',
         orderId: newOrder.order_id,
         customerId: newOrder.customer_id,
+        order: newOrder,
       };
     } catch (error) {
       console.error('Database error during order creation:', error);
-      throw new Error(`Failed to create order: ${error.message}`);
-    }
-  }
-
-  async updateCustomerStats(customerId, orderAmount) {
-    try {
-      // Get current customer data
-      const customer = await customerDB.prisma.customers.findUnique({
-        where: { customer_id: customerId },
-        select: {
-          customer_id: true,
-          total_spend: true,
-          total_visits: true,
-        },
-      });
-
-      if (!customer) {
-        console.warn(`Customer ${customerId} not found for stats update`);
-        return;
-      }
-
-      // Calculate new totals
-      const newTotalSpend = parseFloat(customer.total_spend || 0) + parseFloat(orderAmount);
-      const newTotalVisits = (customer.total_visits || 0) + 1;
-
-      // Update customer stats
-      const updatedCustomer = await customerDB.prisma.customers.update({
-        where: { customer_id: customerId },
-        data: {
-          total_spend: newTotalSpend,
-          total_visits: newTotalVisits,
-          last_order_at: new Date(),
-          updated_at: new Date(),
-        },
-        select: {
-          customer_id: true,
-          name: true,
-          email: true,
-          total_spend: true,
-          total_visits: true,
-          last_order_at: true,
-          status: true,
-        },
-      });
-
-      console.log(`Updated customer ${customerId} stats: spend=${newTotalSpend}, visits=${newTotalVisits}`);
-      return updatedCustomer;
-    } catch (error) {
-      console.error('Error updating customer stats:', error);
-      // Don't throw here - we don't want to fail the order creation if stats update fails
-      return null;
-    }
-  }
-
-  async publishCustomerMVEvent(customerData) {
-    try {
-      // Get current total orders count for this customer
-      const totalOrders = await customerDB.prisma.orders.count({
-        where: { customer_id: customerData.customer_id }
-      });
-
-      const customerMVEventData = {
-        eventType: 'customer_mv_upsert',
-        timestamp: new Date().toISOString(),
-        source: 'order_consumer',
-        data: {
-          customer_id: customerData.customer_id,
-          name: customerData.name,
-          email: customerData.email,
-          total_spend: parseFloat(customerData.total_spend || 0),
-          total_visits: customerData.total_visits || 0,
-          total_orders: totalOrders,
-          last_order_at: customerData.last_order_at,
-          status: customerData.status,
-          operation: 'stats_updated'
-        },
-      };
-
-      const published = await rabbitMQ.publishMessage(
-        'data_ingestion',
-        'customer_mv',
-        customerMVEventData
-      );
-
-      if (published) {
-        console.log(`CustomerMV event published for customer: ${customerData.email} (stats updated) - Total Orders: ${totalOrders}, Spend: $${customerData.total_spend}`);
-      } else {
-        console.warn(`Failed to publish CustomerMV event for customer: ${customerData.email}`);
-      }
-    } catch (error) {
-      console.error('Error publishing CustomerMV event:', error);
-      // Don't throw - we don't want to fail order processing if MV event fails
+      throw new Error(`Failed to create order: ${error.message}`, { cause: error });
     }
   }
 
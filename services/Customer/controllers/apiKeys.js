@@ -0,0 +1,193 @@
+const apiKeyService = require('../services/apiKeyService');
+const auditService = require('../services/auditService');
+const { getTenantId } = require('../../../shared/middleware/auth');
+const { API_KEY_SCOPES } = apiKeyService;
+const Joi = require('joi');
+
+// Define validation schema for API key creation
+const createApiKeySchema = Joi.object({
+  name: Joi.string().required().min(1).max(255).trim(),
+  scopes: Joi.array()
+    .optional()
+    .min(1)
+    .unique()
+    .items(Joi.string().valid(...API_KEY_SCOPES))
+    .default([...API_KEY_SCOPES]),
+});
+
+// Define validation schema for API key list queries
+const listApiKeysSchema = Joi.object({
+  include_revoked: Joi.boolean().optional().default(false),
+});
+
+const keyIdSchema = Joi.string().guid().required();
+
+const formatValidationErrors = (error) =>
+  error.details.map((detail) => ({
+    field: detail.path.join('.'),
+    message: detail.message,
+  }));
+
+const invalidKeyId = (res) =>
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: [{ field: 'id', message: 'API key id must be a valid UUID' }],
+  });
+
+const handleError = (res, error, action) => {
+  // ServiceErrors carry the HTTP status the caller should see
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  console.error(`Error ${action}:`, error);
+
+  res.status(500).json({
+    success: false,
+    message: `Internal server error while ${action}`,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+  });
+};
+
+const createApiKey = async (req, res) => {
+  try {
+    const { error, value } = createApiKeySchema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatValidationErrors(error),
+      });
+    }
+
+    const tenantId = getTenantId(req);
+    const actor = auditService.getActor(req);
+    const { apiKey, record } = await apiKeyService.createKey({
+      tenantId,
+      name: value.name,
+      scopes: value.scopes,
+      createdBy: actor,
+    });
+
+    await auditService.record({
+      tenantId,
+      action: 'api_key_created',
+      entityType: 'api_key',
+      entityId: record.key_id,
+      actor,
+      details: { name: record.name, scopes: record.scopes },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Store it now; it cannot be shown again',
+      data: { ...record, api_key: apiKey },
+    });
+  } catch (error) {
+    handleError(res, error, 'creating API key');
+  }
+};
+
+const listApiKeys = async (req, res) => {
+  try {
+    const { error, value } = listApiKeysSchema.validate(req.query, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatValidationErrors(error),
+      });
+    }
+
+    const keys = await apiKeyService.listKeys({
+      tenantId: getTenantId(req),
+      includeRevoked: value.include_revoked,
+    });
+
+    res.json({
+      success: true,
+      data: keys,
+    });
+  } catch (error) {
+    handleError(res, error, 'listing API keys');
+  }
+};
+
+const revokeApiKey = async (req, res) => {
+  try {
+    const { error, value: keyId } = keyIdSchema.validate(req.params.id);
+
+    if (error) {
+      return invalidKeyId(res);
+    }
+
+    const tenantId = getTenantId(req);
+    const record = await apiKeyService.revokeKey(tenantId, keyId);
+
+    await auditService.record({
+      tenantId,
+      action: 'api_key_revoked',
+      entityType: 'api_key',
+      entityId: keyId,
+      actor: auditService.getActor(req),
+    });
+
+    res.json({
+      success: true,
+      message: 'API key revoked',
+      data: record,
+    });
+  } catch (error) {
+    handleError(res, error, 'revoking API key');
+  }
+};
+
+const rotateApiKey = async (req, res) => {
+  try {
+    const { error, value: keyId } = keyIdSchema.validate(req.params.id);
+
+    if (error) {
+      return invalidKeyId(res);
+    }
+
+    const tenantId = getTenantId(req);
+    const actor = auditService.getActor(req);
+    const { apiKey, record } = await apiKeyService.rotateKey(tenantId, keyId, actor);
+
+    await auditService.record({
+      tenantId,
+      action: 'api_key_rotated',
+      entityType: 'api_key',
+      entityId: record.key_id,
+      actor,
+      details: { rotated_from: keyId },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key rotated. The previous key no longer works; store the new one now',
+      data: { ...record, api_key: apiKey },
+    });
+  } catch (error) {
+    handleError(res, error, 'rotating API key');
+  }
+};
+
+module.exports = {
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  rotateApiKey,
+};
@@ -1,18 +1,58 @@
 const { customerDB } = require('../../../shared/database');
 const rabbitMQ = require('../../../shared/utils/rabbitmq');
+const auditService = require('../services/auditService');
+const ingestionJobService = require('../services/ingestionJobService');
+const idempotencyService = require('../services/idempotencyService');
+const { OPERATIONS } = idempotencyService;
+const outboxService = require('../services/outboxService');
+const { getTenantId } = require('../../../shared/middleware/auth');
 const Joi = require('joi');
 
-// Define validation schema for customer data
+// Define validation schema for customer data. total_spend, total_visits and
+// last_order_at are derived from orders by customerStatsService, so they are stripped.
 const customerSchema = Joi.object({
   name: Joi.string().required().min(1).max(255).trim(),
   email: Joi.string().email().required().max(255).trim().lowercase(),
   phone: Joi.string().optional().max(20).trim(),
-  total_spend: Joi.number().optional().precision(2).min(0).default(0),
-  total_visits: Joi.number().integer().optional().min(0).default(0),
-  last_order_at: Joi.date().optional(),
   status: Joi.string().optional().valid('ACTIVE', 'INACTIVE').default('ACTIVE'),
 });
 
+// Define validation schema for customer list queries
+const listCustomersSchema = Joi.object({
+  status: Joi.string().optional().uppercase().valid('ACTIVE', 'INACTIVE'),
+  min_spend: Joi.number().optional().min(0),
+  max_spend: Joi.number()
+    .optional()
+    .min(0)
+    .when('min_spend', { is: Joi.exist(), then: Joi.number().min(Joi.ref('min_spend')) }),
+  search: Joi.string().optional().min(1).max(255).trim(),
+  limit: Joi.number().integer().optional().min(1).max(100).default(20),
+  cursor: Joi.string().optional().guid(),
+});
+
+// Define validation schema for customer updates
+const updateCustomerSchema = Joi.object({
+  name: Joi.string().optional().min(1).max(255).trim(),
+  email: Joi.string().email().optional().max(255).trim().lowercase(),
+  phone: Joi.string().optional().allow(null).max(20).trim(),
+  status: Joi.string().optional().uppercase().valid('ACTIVE', 'INACTIVE'),
+}).min(1);
+
+const customerIdSchema = Joi.string().guid().required();
+
+const invalidCustomerId = (res) =>
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: [{ field: 'id', message: 'Customer id must be a valid UUID' }],
+  });
+
+const emailTaken = (res) =>
+  res.status(409).json({
+    success: false,
+    message: 'Another customer already uses this email',
+  });
+
 const customer = async (req, res) => {
   try {
     await rabbitMQ.ensureConnection();
@@ -43,61 +83,84 @@ const customer = async (req, res) => {
       });
     }
 
-    const customerEventData = {
-      eventType: 'customer_data_received',
-      timestamp: new Date().toISOString(),
-      source: 'customer_api',
-      data: value,
-    };
+    const { key: idempotencyKey, error: keyError } = idempotencyService.getIdempotencyKey(req);
+
+    if (keyError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: [{ field: 'Idempotency-Key', message: keyError }],
+      });
+    }
+
+    const tenantId = getTenantId(req);
 
-    const published = await rabbitMQ.publishMessage(
-      'data_ingestion',
-      'customer',
-      customerEventData
+    // A retry with the same Idempotency-Key gets the first request's job back instead of publishing again
+    const reservation = await idempotencyService.reserveKey(
+      tenantId,
+      OPERATIONS.CREATE_CUSTOMER,
+      idempotencyKey,
+      value
     );
 
-    if (!published) {
-      throw new Error('Failed to publish message to queue');
+    if (reservation && reservation.replayJobId) {
+      return res.status(202).json({
+        success: true,
+        message: 'Customer data was already received with this Idempotency-Key',
+        data: {
+          job_id: reservation.replayJobId,
+          email: value.email,
+          name: value.name,
+          status: 'queued',
+          replayed: true,
+        },
+      });
     }
 
-    // Publish CustomerMV event for campaign microservice
-    const customerMVEventData = {
-      eventType: 'customer_mv_upsert',
-      timestamp: new Date().toISOString(),
-      source: 'customer_api',
-      data: {
-        customer_id: null, // Will be populated by consumer after customer creation
-        name: value.name,
-        email: value.email,
-        total_spend: value.total_spend || 0.0,
-        total_visits: value.total_visits || 0,
-        total_orders: 0, // New customers start with 0 orders
-        last_order_at: value.last_order_at || null,
-        status: value.status || 'ACTIVE',
-        operation: 'create_or_update'
-      },
-    };
+    let job;
 
-    const mvPublished = await rabbitMQ.publishMessage(
-      'data_ingestion',
-      'customer_mv',
-      customerMVEventData
-    );
+    try {
+      // Single-record ingestion is tracked as a one-row job so its outcome can be looked up
+      job = await ingestionJobService.createJob({
+        tenantId,
+        entityType: 'customer',
+        source: 'customer_api',
+        totalRows: 1,
+        createdBy: auditService.getActor(req),
+      });
 
-    if (!mvPublished) {
-      console.warn('Failed to publish CustomerMV event, but continuing with customer creation');
+      const customerEventData = {
+        eventType: 'customer_data_received',
+        timestamp: new Date().toISOString(),
+        source: 'customer_api',
+        tenant_id: tenantId,
+        job_id: job.job_id,
+        data: value,
+      };
+
+      try {
+        await rabbitMQ.publishMessage(
+          'data_ingestion',
+          'customer',
+          customerEventData,
+          idempotencyService.getPublishOptions(idempotencyKey)
+        );
+      } catch (publishError) {
+        await ingestionJobService.markFailed(job.job_id, publishError, 0);
+        throw publishError;
+      }
+    } catch (publishError) {
+      await idempotencyService.releaseKey(tenantId, OPERATIONS.CREATE_CUSTOMER, idempotencyKey);
+      throw publishError;
     }
 
-    console.log('Customer data published to queue:', {
-      email: value.email,
-      name: value.name,
-      timestamp: customerEventData.timestamp,
-    });
+    await idempotencyService.completeKey(tenantId, OPERATIONS.CREATE_CUSTOMER, idempotencyKey, job.job_id);
+    await ingestionJobService.markPublished(job.job_id, 1);
 
-    console.log('CustomerMV event published to queue:', {
+    console.log('Customer data published to queue:', {
       email: value.email,
       name: value.name,
-      operation: 'create_or_update',
+      job_id: job.job_id,
     });
 
     // Send success response
@@ -105,12 +168,20 @@ const customer = async (req, res) => {
       success: true,
       message: 'Customer data received and queued for processing',
       data: {
+        job_id: job.job_id,
         email: value.email,
         name: value.name,
         status: 'queued',
       },
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     console.error('Error processing customer data:', error);
 
     res.status(500).json({
@@ -121,6 +192,351 @@ const customer = async (req, res) => {
   }
 };
 
+const listCustomers = async (req, res) => {
+  try {
+    const { error, value } = listCustomersSchema.validate(req.query, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      const validationErrors = error.details.map((detail) => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: validationErrors,
+      });
+    }
+
+    const where = { tenant_id: getTenantId(req) };
+
+    if (value.status) {
+      where.status = value.status;
+    }
+
+    if (value.min_spend !== undefined || value.max_spend !== undefined) {
+      where.total_spend = {};
+      if (value.min_spend !== undefined) where.total_spend.gte = value.min_spend;
+      if (value.max_spend !== undefined) where.total_spend.lte = value.max_spend;
+    }
+
+    if (value.search) {
+      where.OR = [
+        { name: { contains: value.search, mode: 'insensitive' } },
+        { email: { contains: value.search, mode: 'insensitive' } },
+      ];
+    }
+
+    // Fetch one extra row to know whether another page exists
+    const customers = await customerDB.prisma.customers.findMany({
+      where,
+      take: value.limit + 1,
+      ...(value.cursor && { cursor: { customer_id: value.cursor }, skip: 1 }),
+      orderBy: [{ created_at: 'desc' }, { customer_id: 'desc' }],
+    });
+
+    const hasMore = customers.length > value.limit;
+    const page = hasMore ? customers.slice(0, value.limit) : customers;
+
+    res.json({
+      success: true,
+      data: page,
+      pagination: {
+        limit: value.limit,
+        has_more: hasMore,
+        next_cursor: hasMore ? page[page.length - 1].customer_id : null,
+      },
+    });
+  } catch (error) {
+    console.error('Error listing customers:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while listing customers',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+const getCustomer = async (req, res) => {
+  try {
+    const { error, value: customerId } = customerIdSchema.validate(req.params.id);
+
+    if (error) {
+      return invalidCustomerId(res);
+    }
+
+    const customerRecord = await customerDB.prisma.customers.findUnique({
+      where: { customer_id: customerId, tenant_id: getTenantId(req) },
+      include: {
+        orders: {
+          orderBy: { created_at: 'desc' },
+          take: 10, // Most recent orders only; use /customers/:id/orders for the rest
+        },
+      },
+    });
+
+    if (!customerRecord) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found',
+      });
+    }
+
+    const { orders: recentOrders, ...customerData } = customerRecord;
+
+    res.json({
+      success: true,
+      data: {
+        ...customerData,
+        recent_orders: recentOrders,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching customer:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching customer',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+// Applies a change to one customer together with its audit entry and customers_mv outbox event
+const applyCustomerChange = async (tenantId, customerId, data, audit) =>
+  customerDB.prisma.$transaction(async (tx) => {
+    const changed = await tx.customers.update({
+      where: { customer_id: customerId, tenant_id: tenantId },
+      data: { ...data, updated_at: new Date(), version: { increment: 1 } },
+    });
+
+    await auditService.record(
+      { ...audit, tenantId, entityType: 'customer', entityId: customerId },
+      tx
+    );
+    await outboxService.recordCustomerMVUpsert(changed, 'updated', tx);
+
+    return changed;
+  });
+
+const updateCustomer = async (req, res) => {
+  try {
+    const { error: idError, value: customerId } = customerIdSchema.validate(req.params.id);
+
+    if (idError) {
+      return invalidCustomerId(res);
+    }
+
+    const { error, value } = updateCustomerSchema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      const validationErrors = error.details.map((detail) => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: validationErrors,
+      });
+    }
+
+    const tenantId = getTenantId(req);
+    const existingCustomer = await customerDB.prisma.customers.findUnique({
+      where: { customer_id: customerId, tenant_id: tenantId },
+      select: { customer_id: true, email: true },
+    });
+
+    if (!existingCustomer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found',
+      });
+    }
+
+    if (value.email && value.email !== existingCustomer.email) {
+      const emailOwner = await customerDB.prisma.customers.findUnique({
+        where: { tenant_id_email: { tenant_id: tenantId, email: value.email } },
+        select: { customer_id: true },
+      });
+
+      if (emailOwner) {
+        return emailTaken(res);
+      }
+    }
+
+    const updatedCustomer = await applyCustomerChange(tenantId, customerId, value, {
+      action: 'customer_updated',
+      actor: auditService.getActor(req),
+      details: { fields: Object.keys(value) },
+    });
+
+    res.json({
+      success: true,
+      message: 'Customer updated',
+      data: updatedCustomer,
+    });
+  } catch (error) {
+    // The email was taken by a concurrent request after the check above
+    if (error.code === 'P2002') {
+      return emailTaken(res);
+    }
+
+    console.error('Error updating customer:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while updating customer',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+const deactivateCustomer = async (req, res) => {
+  try {
+    const { error, value: customerId } = customerIdSchema.validate(req.params.id);
+
+    if (error) {
+      return invalidCustomerId(res);
+    }
+
+    const tenantId = getTenantId(req);
+    const existingCustomer = await customerDB.prisma.customers.findUnique({
+      where: { customer_id: customerId, tenant_id: tenantId },
+      select: { customer_id: true, status: true },
+    });
+
+    if (!existingCustomer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found',
+      });
+    }
+
+    const updatedCustomer = await applyCustomerChange(
+      tenantId,
+      customerId,
+      { status: 'INACTIVE' },
+      {
+        action: 'customer_deactivated',
+        actor: auditService.getActor(req),
+        details: { previous_status: existingCustomer.status },
+      }
+    );
+
+    res.json({
+      success: true,
+      message: 'Customer deactivated',
+      data: updatedCustomer,
+    });
+  } catch (error) {
+    console.error('Error deactivating customer:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while deactivating customer',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+// GDPR erasure: deletes the customer (and their orders) from the master DB and asks
+// the campaign service to anonymize everything it holds about them
+const eraseCustomer = async (req, res) => {
+  try {
+    const { error, value: customerId } = customerIdSchema.validate(req.params.id);
+
+    if (error) {
+      return invalidCustomerId(res);
+    }
+
+    const tenantId = getTenantId(req);
+    const existingCustomer = await customerDB.prisma.customers.findUnique({
+      where: { customer_id: customerId, tenant_id: tenantId },
+      select: { customer_id: true, email: true, version: true, _count: { select: { orders: true } } },
+    });
+
+    if (!existingCustomer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found',
+      });
+    }
+
+    await customerDB.prisma.$transaction(async (tx) => {
+      // Orders are removed by the ON DELETE CASCADE on orders.customer_id
+      await tx.customers.delete({ where: { customer_id: customerId, tenant_id: tenantId } });
+
+      // Earlier outbox events and failed ingestion payloads carry the customer's name and email
+      const outboxEventsDeleted = await outboxService.deleteEntityEvents(tenantId, customerId, tx);
+      const jobFailuresScrubbed = await ingestionJobService.scrubCustomerFailures(
+        tenantId,
+        existingCustomer.email,
+        tx
+      );
+
+      await auditService.record(
+        {
+          tenantId,
+          action: 'customer_erased',
+          entityType: 'customer',
+          entityId: customerId,
+          actor: auditService.getActor(req),
+          details: {
+            orders_deleted: existingCustomer._count.orders,
+            outbox_events_deleted: outboxEventsDeleted,
+            job_failures_scrubbed: jobFailuresScrubbed,
+          },
+        },
+        tx
+      );
+
+      // Recorded in the outbox with the deletion; the outbox relay publishes it to the campaign service
+      await outboxService.record(
+        tenantId,
+        'customer_erased',
+        customerId,
+        { customer_id: customerId, version: existingCustomer.version },
+        tx
+      );
+    });
+
+    console.log(`Customer erased: ${customerId}`);
+
+    res.status(202).json({
+      success: true,
+      message: 'Customer erased; campaign data anonymization queued',
+      data: {
+        customer_id: customerId,
+        status: 'erased',
+      },
+    });
+  } catch (error) {
+    console.error('Error erasing customer:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while erasing customer',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
 module.exports = {
+  customerSchema,
   customer,
+  listCustomers,
+  getCustomer,
+  updateCustomer,
+  deactivateCustomer,
+  eraseCustomer,
 };
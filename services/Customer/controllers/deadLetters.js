@@ -0,0 +1,167 @@
+const rabbitMQ = require('../../../shared/utils/rabbitmq');
+const deadLetterService = require('../services/deadLetterService');
+const { getTenantId } = require('../../../shared/middleware/auth');
+const Joi = require('joi');
+
+// Define validation schemas for dead-letter inspection and replay
+const listDeadLettersSchema = Joi.object({
+  limit: Joi.number().integer().optional().min(1).max(100).default(20),
+});
+
+const replayDeadLettersSchema = Joi.object({
+  limit: Joi.number().integer().optional().min(1).max(1000).default(100),
+  message_ids: Joi.array().items(Joi.string().min(1)).optional().min(1),
+});
+
+// Discarding selects messages the same way replay does
+const discardDeadLettersSchema = replayDeadLettersSchema;
+
+const validate = (schema, input, res) => {
+  const { error, value } = schema.validate(input, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+
+  if (error) {
+    const validationErrors = error.details.map((detail) => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+    }));
+
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: validationErrors,
+    });
+    return null;
+  }
+
+  return value;
+};
+
+const handleError = (res, error, action) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  console.error(`Error ${action}:`, error);
+
+  res.status(500).json({
+    success: false,
+    message: `Internal server error while ${action}`,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+  });
+};
+
+const ensureMessaging = async (res) => {
+  await rabbitMQ.ensureConnection();
+
+  if (!rabbitMQ.isConnectionActive()) {
+    console.error('RabbitMQ connection is not active');
+    res.status(503).json({
+      success: false,
+      message: 'Service temporarily unavailable - messaging system down',
+    });
+    return false;
+  }
+
+  return true;
+};
+
+const listDeadLetters = async (req, res) => {
+  try {
+    const value = validate(listDeadLettersSchema, req.query, res);
+    if (!value) return;
+
+    if (!(await ensureMessaging(res))) return;
+
+    const result = await deadLetterService.listDeadLetters(req.params.queue, {
+      tenantId: getTenantId(req),
+      limit: value.limit,
+    });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    handleError(res, error, 'listing dead-lettered messages');
+  }
+};
+
+const replayDeadLetters = async (req, res) => {
+  try {
+    const value = validate(replayDeadLettersSchema, req.body || {}, res);
+    if (!value) return;
+
+    if (!(await ensureMessaging(res))) return;
+
+    const result = await deadLetterService.replayDeadLetters(req.params.queue, {
+      tenantId: getTenantId(req),
+      limit: value.limit,
+      messageIds: value.message_ids,
+    });
+
+    res.json({
+      success: true,
+      message: `Replayed ${result.replayed} dead-lettered messages`,
+      data: result,
+    });
+  } catch (error) {
+    handleError(res, error, 'replaying dead-lettered messages');
+  }
+};
+
+// Unparseable messages and ones without a tenant_id belong to no tenant, so only admins see them
+const listUnattributedDeadLetters = async (req, res) => {
+  try {
+    const value = validate(listDeadLettersSchema, req.query, res);
+    if (!value) return;
+
+    if (!(await ensureMessaging(res))) return;
+
+    const result = await deadLetterService.listDeadLetters(req.params.queue, {
+      tenantId: null,
+      limit: value.limit,
+    });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    handleError(res, error, 'listing unattributed dead-lettered messages');
+  }
+};
+
+const discardUnattributedDeadLetters = async (req, res) => {
+  try {
+    const value = validate(discardDeadLettersSchema, req.body || {}, res);
+    if (!value) return;
+
+    if (!(await ensureMessaging(res))) return;
+
+    const result = await deadLetterService.discardUnattributed(req.params.queue, {
+      limit: value.limit,
+      messageIds: value.message_ids,
+    });
+
+    res.json({
+      success: true,
+      message: `Discarded ${result.discarded} unattributed dead-lettered messages`,
+      data: result,
+    });
+  } catch (error) {
+    handleError(res, error, 'discarding unattributed dead-lettered messages');
+  }
+};
+
+module.exports = {
+  listDeadLetters,
+  replayDeadLetters,
+  listUnattributedDeadLetters,
+  discardUnattributedDeadLetters,
+};
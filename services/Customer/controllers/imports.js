@@ -0,0 +1,76 @@
+const rabbitMQ = require('../../../shared/utils/rabbitmq');
+const importParser = require('../services/importParser');
+const importService = require('../services/importService');
+const auditService = require('../services/auditService');
+const { getTenantId } = require('../../../shared/middleware/auth');
+const { customerSchema } = require('./customer');
+const { orderSchema } = require('./orders');
+
+const handleImport = (entityType, schema) => async (req, res) => {
+  try {
+    await rabbitMQ.ensureConnection();
+
+    if (!rabbitMQ.isConnectionActive()) {
+      console.error('RabbitMQ connection is not active');
+      return res.status(503).json({
+        success: false,
+        message: 'Service temporarily unavailable - messaging system down',
+      });
+    }
+
+    const format = importParser.detectFormat(req.query.format, req.get('Content-Type'));
+
+    if (!format || typeof req.body !== 'string') {
+      return res.status(415).json({
+        success: false,
+        message: 'Upload must be CSV (text/csv) or NDJSON (application/x-ndjson)',
+      });
+    }
+
+    const parsedRows = importParser.parse(req.body, format);
+
+    const job = await importService.createImport({
+      tenantId: getTenantId(req),
+      entityType,
+      format,
+      parsedRows,
+      schema,
+      actor: auditService.getActor(req),
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Import received and queued for processing',
+      data: {
+        job_id: job.job_id,
+        status: job.status,
+        total_rows: job.total_rows,
+        accepted_rows: job.accepted_rows,
+        rejected_rows: job.rejected_rows,
+      },
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error(`Error importing ${entityType} data:`, error);
+
+    res.status(500).json({
+      success: false,
+      message: `Internal server error while importing ${entityType} data`,
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+const importCustomers = handleImport('customer', customerSchema);
+const importOrders = handleImport('order', orderSchema);
+
+module.exports = {
+  importCustomers,
+  importOrders,
+};
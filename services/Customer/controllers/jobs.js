@@ -0,0 +1,69 @@
+const ingestionJobService = require('../services/ingestionJobService');
+const { getTenantId } = require('../../../shared/middleware/auth');
+const Joi = require('joi');
+
+const jobIdSchema = Joi.string().guid().required();
+
+const getJobQuerySchema = Joi.object({
+  failures_limit: Joi.number().integer().optional().min(0).max(1000).default(100),
+});
+
+const getJob = async (req, res) => {
+  try {
+    const { error: idError, value: jobId } = jobIdSchema.validate(req.params.id);
+
+    if (idError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: [{ field: 'id', message: 'Job id must be a valid UUID' }],
+      });
+    }
+
+    const { error, value } = getJobQuerySchema.validate(req.query, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      const validationErrors = error.details.map((detail) => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: validationErrors,
+      });
+    }
+
+    const job = await ingestionJobService.getJob(getTenantId(req), jobId, {
+      failuresLimit: value.failures_limit,
+    });
+
+    res.json({
+      success: true,
+      data: job,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error('Error fetching ingestion job:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching ingestion job',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+module.exports = {
+  getJob,
+};
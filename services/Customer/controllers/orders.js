@@ -1,14 +1,70 @@
 const { customerDB } = require('../../../shared/database');
 const rabbitMQ = require('../../../shared/utils/rabbitmq');
+const ingestionJobService = require('../services/ingestionJobService');
+const idempotencyService = require('../services/idempotencyService');
+const { OPERATIONS } = idempotencyService;
+const auditService = require('../services/auditService');
+const orderStatusService = require('../services/orderStatusService');
+const { getTenantId } = require('../../../shared/middleware/auth');
 const Joi = require('joi');
 
+// Line items must add up to the order amount, compared in paise to avoid float drift
+const lineItemsMatchAmount = (items, helpers) => {
+  const { order_amount: orderAmount } = helpers.state.ancestors[0];
+  const total = items.reduce((sum, item) => sum + Math.round(item.quantity * item.unit_price * 100), 0);
+
+  if (typeof orderAmount === 'number' && total !== Math.round(orderAmount * 100)) {
+    return helpers.error('array.total', { total: (total / 100).toFixed(2) });
+  }
+
+  return items;
+};
+
+const lineItemSchema = Joi.object({
+  sku: Joi.string().required().trim().max(100),
+  quantity: Joi.number().integer().required().min(1),
+  unit_price: Joi.number().required().precision(2).min(0),
+});
+
 // Define validation schema for order data
 const orderSchema = Joi.object({
   customer_email: Joi.string().required().email().trim().lowercase(),
   order_amount: Joi.number().required().precision(2).min(0.01),
   order_status: Joi.string().optional().valid('PENDING', 'COMPLETED', 'CANCELLED', 'REFUNDED').default('COMPLETED'),
+  currency: Joi.string().optional().trim().uppercase().pattern(/^[A-Z]{3}$/).default('INR'),
+  channel: Joi.string().optional().trim().lowercase().max(30),
+  // External order ids are unique per source, e.g. the e-commerce platform that issued them
+  source: Joi.string().trim().lowercase().max(50).when('external_order_id', {
+    is: Joi.exist(),
+    then: Joi.required(),
+    otherwise: Joi.optional(),
+  }),
+  external_order_id: Joi.string().optional().trim().max(100),
+  line_items: Joi.array()
+    .optional()
+    .min(1)
+    .max(500)
+    .items(lineItemSchema)
+    .custom(lineItemsMatchAmount)
+    .messages({ 'array.total': '"line_items" must sum to order_amount (line items total {#total})' }),
+});
+
+// Define validation schema for customer order list queries
+const listOrdersSchema = Joi.object({
+  order_status: Joi.string().optional().uppercase().valid('PENDING', 'COMPLETED', 'CANCELLED', 'REFUNDED'),
+  limit: Joi.number().integer().optional().min(1).max(100).default(20),
+  cursor: Joi.string().optional().guid(),
+});
+
+// Define validation schema for order status changes
+const orderStatusSchema = Joi.object({
+  order_status: Joi.string().required().uppercase().valid('PENDING', 'COMPLETED', 'CANCELLED', 'REFUNDED'),
+  reason: Joi.string().optional().trim().max(500),
 });
 
+const customerIdSchema = Joi.string().guid().required();
+const orderIdSchema = Joi.string().guid().required();
+
 const orders = async (req, res) => {
   try {
     // Ensure RabbitMQ connection is active
@@ -42,10 +98,22 @@ const orders = async (req, res) => {
       });
     }
 
+    const { key: idempotencyKey, error: keyError } = idempotencyService.getIdempotencyKey(req);
+
+    if (keyError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: [{ field: 'Idempotency-Key', message: keyError }],
+      });
+    }
+
+    const tenantId = getTenantId(req);
+
     // Verify customer exists before processing order
     try {
       const customerExists = await customerDB.prisma.customers.findUnique({
-        where: { email: value.customer_email },
+        where: { tenant_id_email: { tenant_id: tenantId, email: value.customer_email } },
         select: { customer_id: true, email: true, name: true },
       });
 
@@ -65,54 +133,347 @@ const orders = async (req, res) => {
       });
     }
 
-    // Prepare order event data
-    const orderEventData = {
-      eventType: 'order_data_received',
-      timestamp: new Date().toISOString(),
-      source: 'order_api',
-      data: value,
+    const orderSummary = {
+      customer_email: value.customer_email,
+      order_amount: value.order_amount,
+      currency: value.currency,
+      order_status: value.order_status,
+      source: value.source || null,
+      external_order_id: value.external_order_id || null,
+      status: 'queued',
     };
 
-    // Publish message to RabbitMQ order queue
-    const published = await rabbitMQ.publishMessage(
-      'data_ingestion',
-      'order',
-      orderEventData
+    // A retry with the same Idempotency-Key gets the first request's job back instead of publishing again
+    const reservation = await idempotencyService.reserveKey(
+      tenantId,
+      OPERATIONS.CREATE_ORDER,
+      idempotencyKey,
+      value
     );
 
-    if (!published) {
-      throw new Error('Failed to publish message to queue');
+    if (reservation && reservation.replayJobId) {
+      return res.status(202).json({
+        success: true,
+        message: 'Order data was already received with this Idempotency-Key',
+        data: { job_id: reservation.replayJobId, ...orderSummary, replayed: true },
+      });
+    }
+
+    let job;
+
+    try {
+      // Single-record ingestion is tracked as a one-row job so its outcome can be looked up
+      job = await ingestionJobService.createJob({
+        tenantId,
+        entityType: 'order',
+        source: 'order_api',
+        totalRows: 1,
+        createdBy: auditService.getActor(req),
+      });
+
+      // Prepare order event data
+      const orderEventData = {
+        eventType: 'order_data_received',
+        timestamp: new Date().toISOString(),
+        source: 'order_api',
+        tenant_id: tenantId,
+        job_id: job.job_id,
+        data: value,
+      };
+
+      // Publish message to RabbitMQ order queue
+      try {
+        await rabbitMQ.publishMessage(
+          'data_ingestion',
+          'order',
+          orderEventData,
+          idempotencyService.getPublishOptions(idempotencyKey)
+        );
+      } catch (publishError) {
+        await ingestionJobService.markFailed(job.job_id, publishError, 0);
+        throw publishError;
+      }
+    } catch (publishError) {
+      await idempotencyService.releaseKey(tenantId, OPERATIONS.CREATE_ORDER, idempotencyKey);
+      throw publishError;
     }
 
+    await idempotencyService.completeKey(tenantId, OPERATIONS.CREATE_ORDER, idempotencyKey, job.job_id);
+    await ingestionJobService.markPublished(job.job_id, 1);
+
     console.log('Order data published to queue:', {
       customer_email: value.customer_email,
       order_amount: value.order_amount,
+      currency: value.currency,
       order_status: value.order_status,
-      timestamp: orderEventData.timestamp,
+      external_order_id: value.external_order_id,
+      job_id: job.job_id,
     });
 
     // Send success response
     res.status(202).json({
       success: true,
       message: 'Order data received and queued for processing',
+      data: { job_id: job.job_id, ...orderSummary },
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error('Error processing order data:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while processing order data',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+const customerOrders = async (req, res) => {
+  try {
+    const { error: idError, value: customerId } = customerIdSchema.validate(req.params.id);
+
+    if (idError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: [{ field: 'id', message: 'Customer id must be a valid UUID' }],
+      });
+    }
+
+    const { error, value } = listOrdersSchema.validate(req.query, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      const validationErrors = error.details.map((detail) => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: validationErrors,
+      });
+    }
+
+    const tenantId = getTenantId(req);
+    const customerExists = await customerDB.prisma.customers.findUnique({
+      where: { customer_id: customerId, tenant_id: tenantId },
+      select: { customer_id: true },
+    });
+
+    if (!customerExists) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found',
+      });
+    }
+
+    const where = { tenant_id: tenantId, customer_id: customerId };
+    if (value.order_status) {
+      where.order_status = value.order_status;
+    }
+
+    // Fetch one extra row to know whether another page exists
+    const customerOrderList = await customerDB.prisma.orders.findMany({
+      where,
+      take: value.limit + 1,
+      ...(value.cursor && { cursor: { order_id: value.cursor }, skip: 1 }),
+      orderBy: [{ created_at: 'desc' }, { order_id: 'desc' }],
+      include: { order_items: true },
+    });
+
+    const hasMore = customerOrderList.length > value.limit;
+    const page = hasMore ? customerOrderList.slice(0, value.limit) : customerOrderList;
+
+    res.json({
+      success: true,
+      data: page,
+      pagination: {
+        limit: value.limit,
+        has_more: hasMore,
+        next_cursor: hasMore ? page[page.length - 1].order_id : null,
+      },
+    });
+  } catch (error) {
+    console.error('Error listing customer orders:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while listing customer orders',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+const updateOrderStatus = async (req, res) => {
+  try {
+    const { error: idError, value: orderId } = orderIdSchema.validate(req.params.id);
+
+    if (idError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: [{ field: 'id', message: 'Order id must be a valid UUID' }],
+      });
+    }
+
+    const { error, value } = orderStatusSchema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      const validationErrors = error.details.map((detail) => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: validationErrors,
+      });
+    }
+
+    const { key: idempotencyKey, error: keyError } = idempotencyService.getIdempotencyKey(req);
+
+    if (keyError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: [{ field: 'Idempotency-Key', message: keyError }],
+      });
+    }
+
+    await rabbitMQ.ensureConnection();
+
+    if (!rabbitMQ.isConnectionActive()) {
+      console.error('RabbitMQ connection is not active');
+      return res.status(503).json({
+        success: false,
+        message: 'Service temporarily unavailable - messaging system down',
+      });
+    }
+
+    // Reject unknown orders and disallowed transitions up front; the consumer checks again when it applies the change
+    const tenantId = getTenantId(req);
+    const order = await orderStatusService.getOrder(tenantId, orderId);
+    orderStatusService.assertTransition(order, value.order_status);
+
+    // A retry with the same Idempotency-Key gets the first request's job back instead of publishing again
+    const reservation = await idempotencyService.reserveKey(
+      tenantId,
+      OPERATIONS.CHANGE_ORDER_STATUS,
+      idempotencyKey,
+      { order_id: orderId, ...value }
+    );
+
+    if (reservation && reservation.replayJobId) {
+      return res.status(202).json({
+        success: true,
+        message: 'Order status change was already received with this Idempotency-Key',
+        data: {
+          job_id: reservation.replayJobId,
+          order_id: orderId,
+          order_status: value.order_status,
+          status: 'queued',
+          replayed: true,
+        },
+      });
+    }
+
+    const actor = auditService.getActor(req);
+    let job;
+
+    try {
+      job = await ingestionJobService.createJob({
+        tenantId,
+        entityType: 'order',
+        source: 'order_api',
+        totalRows: 1,
+        createdBy: actor,
+      });
+
+      const statusEventData = {
+        eventType: 'order_status_changed',
+        timestamp: new Date().toISOString(),
+        source: 'order_api',
+        tenant_id: tenantId,
+        job_id: job.job_id,
+        data: {
+          order_id: orderId,
+          order_status: value.order_status,
+          reason: value.reason,
+          requested_by: actor,
+        },
+      };
+
+      try {
+        await rabbitMQ.publishMessage(
+          'data_ingestion',
+          'order',
+          statusEventData,
+          idempotencyService.getPublishOptions(idempotencyKey)
+        );
+      } catch (publishError) {
+        await ingestionJobService.markFailed(job.job_id, publishError, 0);
+        throw publishError;
+      }
+    } catch (publishError) {
+      await idempotencyService.releaseKey(tenantId, OPERATIONS.CHANGE_ORDER_STATUS, idempotencyKey);
+      throw publishError;
+    }
+
+    await idempotencyService.completeKey(tenantId, OPERATIONS.CHANGE_ORDER_STATUS, idempotencyKey, job.job_id);
+    await ingestionJobService.markPublished(job.job_id, 1);
+
+    console.log('Order status change published to queue:', {
+      order_id: orderId,
+      from: orderStatusService.normalizeStatus(order.order_status),
+      to: value.order_status,
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Order status change received and queued for processing',
       data: {
-        customer_email: value.customer_email,
-        order_amount: value.order_amount,
+        job_id: job.job_id,
+        order_id: orderId,
+        previous_status: orderStatusService.normalizeStatus(order.order_status),
         order_status: value.order_status,
         status: 'queued',
       },
     });
   } catch (error) {
-    console.error('Error processing order data:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error('Error updating order status:', error);
 
     res.status(500).json({
       success: false,
-      message: 'Internal server error while processing order data',
+      message: 'Internal server error while updating order status',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined,
     });
   }
 };
 
 module.exports = {
+  orderSchema,
   orders,
+  customerOrders,
+  updateOrderStatus,
 };
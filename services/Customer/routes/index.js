@@ -2,12 +2,33 @@ const express = require('express');
 const cors = require('cors');
 const customerHandler = require('../controllers/customer');
 const orderHandler = require('../controllers/orders');
+const importHandler = require('../controllers/imports');
+const jobHandler = require('../controllers/jobs');
+const deadLetterHandler = require('../controllers/deadLetters');
+const apiKeyHandler = require('../controllers/apiKeys');
+const apiKeyService = require('../services/apiKeyService');
+const importService = require('../services/importService');
 const rabbitMQ = require('../../../shared/utils/rabbitmq');
+const { ROLES, authorize, authorizeWithApiKey, corsOptions } = require('../../../shared/middleware/auth');
 const app = express();
 require('dotenv').config();
 
 app.use(express.json());
-app.use(cors());
+app.use(cors(corsOptions()));
+
+// Writes need ingest:write; reads are also open to analytics:read
+const canIngest = authorize(ROLES.INGEST_WRITE);
+const canRead = authorize(ROLES.ANALYTICS_READ, ROLES.INGEST_WRITE);
+// Record ingestion routes also accept X-API-Key from server-to-server clients
+const canIngestWithKey = authorizeWithApiKey((apiKey) => apiKeyService.verifyKey(apiKey), ROLES.INGEST_WRITE);
+const canManageKeys = authorize(ROLES.API_KEYS_MANAGE);
+const canAdminDeadLetters = authorize(ROLES.DEAD_LETTERS_ADMIN);
+
+// Raw body parser for bulk CSV/NDJSON uploads
+const importUpload = express.text({
+  type: ['text/csv', 'application/csv', 'application/x-ndjson', 'application/ndjson', 'application/jsonl'],
+  limit: '25mb',
+});
 
 app.get('/health', (req, res) => {
   res.json({
@@ -16,8 +37,27 @@ app.get('/health', (req, res) => {
     timestamp: new Date().toISOString(),
   });
 });
-app.post('/customers', customerHandler.customer);
-app.post('/orders', orderHandler.orders);
+app.post('/customers', canIngestWithKey, customerHandler.customer);
+app.get('/customers', canRead, customerHandler.listCustomers);
+app.get('/customers/:id', canRead, customerHandler.getCustomer);
+app.patch('/customers/:id', canIngest, customerHandler.updateCustomer);
+app.post('/customers/:id/deactivate', canIngest, customerHandler.deactivateCustomer);
+app.delete('/customers/:id', canIngest, customerHandler.eraseCustomer);
+app.get('/customers/:id/orders', canRead, orderHandler.customerOrders);
+app.post('/orders', canIngestWithKey, orderHandler.orders);
+app.patch('/orders/:id/status', canIngestWithKey, orderHandler.updateOrderStatus);
+app.post('/imports/customers', canIngest, importUpload, importHandler.importCustomers);
+app.post('/imports/orders', canIngest, importUpload, importHandler.importOrders);
+app.get('/imports/:id', canRead, jobHandler.getJob);
+app.get('/jobs/:id', canRead, jobHandler.getJob);
+app.get('/dead-letters/:queue', canIngest, deadLetterHandler.listDeadLetters);
+app.post('/dead-letters/:queue/replay', canIngest, deadLetterHandler.replayDeadLetters);
+app.get('/dead-letters/:queue/unattributed', canAdminDeadLetters, deadLetterHandler.listUnattributedDeadLetters);
+app.post('/dead-letters/:queue/unattributed/discard', canAdminDeadLetters, deadLetterHandler.discardUnattributedDeadLetters);
+app.post('/api-keys', canManageKeys, apiKeyHandler.createApiKey);
+app.get('/api-keys', canManageKeys, apiKeyHandler.listApiKeys);
+app.post('/api-keys/:id/revoke', canManageKeys, apiKeyHandler.revokeApiKey);
+app.post('/api-keys/:id/rotate', canManageKeys, apiKeyHandler.rotateApiKey);
 
 const PORT = process.env.PORT || 3001;
 
@@ -40,4 +80,5 @@ app.listen(PORT, async () => {
 
   // Initialize services after server starts
   await initializeServices();
+  importService.startStaleJobSweep();
 });
@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const { customerDB } = require('../../../shared/database');
+const { ServiceError } = require('../../../shared/utils/errors');
+const { ROLES } = require('../../../shared/middleware/auth');
+
+// Roles an API key may carry. Keys are for server-to-server ingestion only.
+const API_KEY_SCOPES = [ROLES.INGEST_WRITE];
+
+const KEY_PREFIX = 'xk_';
+
+// Columns safe to return; key_hash never leaves the service
+const API_KEY_SELECT = {
+  key_id: true,
+  name: true,
+  key_prefix: true,
+  scopes: true,
+  created_by: true,
+  created_at: true,
+  last_used_at: true,
+  revoked_at: true,
+  rotated_from: true,
+};
+
+class ApiKeyService {
+  constructor() {
+    this.lastUsedResolution = 60 * 1000; // last_used_at is written at most once a minute per key
+  }
+
+  // Keys are 256 random bits, so a plain SHA-256 is enough to store them safely
+  hashKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+  }
+
+  generateKey() {
+    const apiKey = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+    return {
+      apiKey,
+      keyPrefix: apiKey.slice(0, 11),
+      keyHash: this.hashKey(apiKey),
+    };
+  }
+
+  /**
+   * Creates an API key for a tenant. The plaintext key is only returned here and cannot be recovered later.
+   * @param {Object} params - { tenantId, name, scopes, createdBy, rotatedFrom }
+   * @param {Object} client - Prisma client or transaction client
+   * @returns {Promise<Object>} - { apiKey, record }
+   */
+  async createKey({ tenantId, name, scopes, createdBy, rotatedFrom = null }, client = customerDB.prisma) {
+    const { apiKey, keyPrefix, keyHash } = this.generateKey();
+
+    const record = await client.api_keys.create({
+      data: {
+        tenant_id: tenantId,
+        name,
+        key_prefix: keyPrefix,
+        key_hash: keyHash,
+        scopes,
+        created_by: createdBy || null,
+        rotated_from: rotatedFrom,
+      },
+      select: API_KEY_SELECT,
+    });
+
+    console.log(`API key created: ${record.name} (${record.key_id}, ${keyPrefix}...)`);
+    return { apiKey, record };
+  }
+
+  async listKeys({ tenantId, includeRevoked }) {
+    return customerDB.prisma.api_keys.findMany({
+      where: includeRevoked ? { tenant_id: tenantId } : { tenant_id: tenantId, revoked_at: null },
+      orderBy: { created_at: 'desc' },
+      select: API_KEY_SELECT,
+    });
+  }
+
+  async getKey(tenantId, keyId, client = customerDB.prisma) {
+    const record = await client.api_keys.findUnique({
+      where: { key_id: keyId, tenant_id: tenantId },
+      select: API_KEY_SELECT,
+    });
+
+    if (!record) {
+      throw new ServiceError(`API key ${keyId} not found`, 404);
+    }
+
+    return record;
+  }
+
+  /**
+   * Revokes an API key immediately
+   * @param {string} tenantId - Tenant the key belongs to
+   * @param {string} keyId - API key ID
+   * @param {Object} client - Prisma client or transaction client
+   * @returns {Promise<Object>} - Revoked key
+   */
+  async revokeKey(tenantId, keyId, client = customerDB.prisma) {
+    await this.getKey(tenantId, keyId, client);
+
+    const revoked = await client.api_keys.updateMany({
+      where: { key_id: keyId, revoked_at: null },
+      data: { revoked_at: new Date() },
+    });
+
+    if (revoked.count === 0) {
+      throw new ServiceError(`API key ${keyId} is already revoked`, 409);
+    }
+
+    console.log(`API key revoked: ${keyId}`);
+    return this.getKey(tenantId, keyId, client);
+  }
+
+  /**
+   * Replaces an API key with a new one carrying the same name and scopes. The old
+   * key stops working as soon as the rotation commits.
+   * @param {string} tenantId - Tenant the key belongs to
+   * @param {string} keyId - API key ID
+   * @param {string} createdBy - Who requested the rotation
+   * @returns {Promise<Object>} - { apiKey, record } for the new key
+   */
+  async rotateKey(tenantId, keyId, createdBy) {
+    return customerDB.prisma.$transaction(async (tx) => {
+      const current = await this.revokeKey(tenantId, keyId, tx);
+
+      return this.createKey(
+        {
+          tenantId,
+          name: current.name,
+          scopes: current.scopes,
+          createdBy,
+          rotatedFrom: current.key_id,
+        },
+        tx
+      );
+    });
+  }
+
+  /**
+   * Looks up the key sent in an X-API-Key header and records its use
+   * @param {string} apiKey - Plaintext key
+   * @returns {Promise<Object|null>} - req.user for the key, scoped to its tenant, or null if unknown or revoked
+   */
+  async verifyKey(apiKey) {
+    if (!apiKey.startsWith(KEY_PREFIX)) {
+      return null;
+    }
+
+    const record = await customerDB.prisma.api_keys.findUnique({
+      where: { key_hash: this.hashKey(apiKey) },
+      select: { key_id: true, tenant_id: true, name: true, scopes: true, revoked_at: true },
+    });
+
+    if (!record || record.revoked_at) {
+      return null;
+    }
+
+    this.recordUse(record.key_id);
+
+    return {
+      id: `api_key:${record.key_id}`,
+      email: null,
+      name: record.name,
+      roles: record.scopes,
+      tenantId: record.tenant_id,
+      apiKeyId: record.key_id,
+    };
+  }
+
+  // Not awaited: a failed timestamp update must not fail the request
+  recordUse(keyId) {
+    const now = new Date();
+
+    customerDB.prisma.api_keys
+      .updateMany({
+        where: {
+          key_id: keyId,
+          OR: [
+            { last_used_at: null },
+            { last_used_at: { lt: new Date(now.getTime() - this.lastUsedResolution) } },
+          ],
+        },
+        data: { last_used_at: now },
+      })
+      .catch((error) => {
+        console.error(`Failed to record use of API key ${keyId}:`, error.message);
+      });
+  }
+}
+
+// Create and export singleton instance
+const apiKeyService = new ApiKeyService();
+
+module.exports = apiKeyService;
+module.exports.API_KEY_SCOPES = API_KEY_SCOPES;
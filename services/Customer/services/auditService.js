@@ -0,0 +1,37 @@
+const { customerDB } = require('../../../shared/database');
+const { getUserIdentity } = require('../../../shared/middleware/auth');
+
+class AuditService {
+  /**
+   * Records an audit entry for a change made through the API.
+   * Pass the transaction client so the entry commits or rolls back with the change itself.
+   * @param {Object} entry - { tenantId, action, entityType, entityId, actor, details }
+   * @param {Object} client - Prisma client or transaction client
+   * @returns {Promise<Object>} - Created audit_log row
+   */
+  async record(entry, client = customerDB.prisma) {
+    const auditEntry = await client.audit_log.create({
+      data: {
+        tenant_id: entry.tenantId,
+        action: entry.action,
+        entity_type: entry.entityType,
+        entity_id: entry.entityId,
+        actor: entry.actor || null,
+        details: entry.details || undefined,
+      },
+    });
+
+    console.log(`Audit: ${entry.action} ${entry.entityType} ${entry.entityId} by ${entry.actor || 'unknown'}`);
+    return auditEntry;
+  }
+
+  // Identifies who made an API request from its verified token
+  getActor(req) {
+    return getUserIdentity(req);
+  }
+}
+
+// Create and export singleton instance
+const auditService = new AuditService();
+
+module.exports = auditService;
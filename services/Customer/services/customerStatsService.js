@@ -0,0 +1,120 @@
+const { customerDB } = require('../../../shared/database');
+
+// Only completed orders count toward total_spend, total_visits, last_order_at and total_orders
+const COUNTED_ORDER_STATUS = 'COMPLETED';
+
+// total_spend is kept in INR, the currency message templates format it in. There is
+// no exchange rate source, so orders in other currencies count as visits but add
+// nothing to total_spend.
+const BASE_CURRENCY = 'INR';
+
+// Customer fields returned after a stats change, as needed for the customers_mv event
+const CUSTOMER_SELECT = {
+  customer_id: true,
+  tenant_id: true,
+  name: true,
+  email: true,
+  total_spend: true,
+  total_visits: true,
+  last_order_at: true,
+  status: true,
+  version: true,
+};
+
+class CustomerStatsService {
+  isCounted(orderStatus) {
+    return String(orderStatus || '').toUpperCase() === COUNTED_ORDER_STATUS;
+  }
+
+  /**
+   * Amount an order adds to total_spend
+   * @param {Object} order - orders row
+   * @returns {number|Object} - order_amount for base-currency orders, otherwise 0
+   */
+  spendOf(order) {
+    return String(order.currency || BASE_CURRENCY).toUpperCase() === BASE_CURRENCY ? order.order_amount : 0;
+  }
+
+  /**
+   * Adds a newly inserted order to its customer's aggregates. Uses atomic
+   * increments, so concurrent orders for the same customer cannot lose updates.
+   * Call it in the transaction that inserted the order.
+   * @param {Object} order - orders row just created
+   * @param {Object} client - Prisma client or transaction client
+   * @returns {Promise<Object>} - Customer with current aggregates
+   */
+  async applyOrderCreated(order, client = customerDB.prisma) {
+    if (!this.isCounted(order.order_status)) {
+      return client.customers.findUnique({
+        where: { customer_id: order.customer_id },
+        select: CUSTOMER_SELECT,
+      });
+    }
+
+    return client.customers.update({
+      where: { customer_id: order.customer_id },
+      data: {
+        total_spend: { increment: this.spendOf(order) },
+        total_visits: { increment: 1 },
+        last_order_at: order.created_at || new Date(),
+        updated_at: new Date(),
+        version: { increment: 1 },
+      },
+      select: CUSTOMER_SELECT,
+    });
+  }
+
+  /**
+   * Adjusts a customer's aggregates after an order's status changed, adding the
+   * order when it became COMPLETED and removing it when it stopped being COMPLETED.
+   * Call it in the transaction that updated the order's status.
+   * @param {Object} order - orders row with its new status
+   * @param {string} previousStatus - Status before the change
+   * @param {Object} client - Prisma client or transaction client
+   * @returns {Promise<Object>} - Customer with current aggregates
+   */
+  async applyOrderStatusChange(order, previousStatus, client = customerDB.prisma) {
+    const wasCounted = this.isCounted(previousStatus);
+    const isCounted = this.isCounted(order.order_status);
+
+    if (wasCounted === isCounted) {
+      return client.customers.findUnique({
+        where: { customer_id: order.customer_id },
+        select: CUSTOMER_SELECT,
+      });
+    }
+
+    // last_order_at cannot be adjusted incrementally, so take it from the remaining completed orders
+    const { _max: latest } = await client.orders.aggregate({
+      where: { customer_id: order.customer_id, order_status: COUNTED_ORDER_STATUS },
+      _max: { created_at: true },
+    });
+
+    return client.customers.update({
+      where: { customer_id: order.customer_id },
+      data: {
+        total_spend: isCounted
+          ? { increment: this.spendOf(order) }
+          : { decrement: this.spendOf(order) },
+        total_visits: isCounted ? { increment: 1 } : { decrement: 1 },
+        last_order_at: latest.created_at,
+        updated_at: new Date(),
+        version: { increment: 1 },
+      },
+      select: CUSTOMER_SELECT,
+    });
+  }
+
+  async countCompletedOrders(customerId, client = customerDB.prisma) {
+    return client.orders.count({
+      where: { customer_id: customerId, order_status: COUNTED_ORDER_STATUS },
+    });
+  }
+}
+
+// Create and export singleton instance
+const customerStatsService = new CustomerStatsService();
+
+module.exports = customerStatsService;
+module.exports.COUNTED_ORDER_STATUS = COUNTED_ORDER_STATUS;
+module.exports.BASE_CURRENCY = BASE_CURRENCY;
@@ -0,0 +1,274 @@
+const crypto = require('crypto');
+const rabbitMQ = require('../../../shared/utils/rabbitmq');
+const { ServiceError } = require('../../../shared/utils/errors');
+
+// Headers added by RabbitMQ retry and dead-letter handling, stripped on replay so
+// replayed messages start again with a full set of attempts
+const FAILURE_HEADERS = [
+  'x-attempt',
+  'x-last-error',
+  'x-original-exchange',
+  'x-original-routing-key',
+  'x-original-queue',
+  'x-error-name',
+  'x-error-message',
+  'x-failed-at',
+  'x-death',
+  'x-first-death-exchange',
+  'x-first-death-queue',
+  'x-first-death-reason',
+];
+
+class DeadLetterService {
+  constructor() {
+    this.maxScanned = 1000; // Most dead-letter messages inspected per request, however few match
+  }
+
+  /**
+   * Lists a tenant's dead-lettered messages without removing or reordering them:
+   * every message read is requeued. message_count is the depth of the whole
+   * dead-letter queue, which tenants share.
+   * Pass tenantId null to list unattributed messages instead: unparseable ones and
+   * ones without a tenant_id, which no tenant can see.
+   * @param {string} queue - Source queue, e.g. customer_ingestion_queue
+   * @param {Object} options - { tenantId, limit }
+   * @returns {Promise<Object>} - { queue, dead_letter_queue, message_count, messages }
+   */
+  async listDeadLetters(queue, { tenantId, limit }) {
+    return this.withDeadLetterChannel(queue, async (channel, deadLetterQueue) => {
+      const { messageCount, messages } = await this.fetchMessages(
+        channel,
+        deadLetterQueue,
+        tenantId,
+        limit
+      );
+
+      messages.forEach((msg) => channel.nack(msg, false, true));
+
+      return {
+        queue,
+        dead_letter_queue: deadLetterQueue,
+        message_count: messageCount,
+        messages: messages.map((msg) => this.formatMessage(msg)),
+      };
+    });
+  }
+
+  /**
+   * Republishes a tenant's dead-lettered messages to the exchange and routing key
+   * they originally failed from. Messages not selected, other tenants' messages,
+   * and messages with no route back stay in the dead-letter queue.
+   * @param {string} queue - Source queue, e.g. customer_ingestion_queue
+   * @param {Object} options - { tenantId, limit, messageIds }
+   * @returns {Promise<Object>} - { replayed, skipped, unroutable, message_ids }
+   */
+  async replayDeadLetters(queue, { tenantId, limit, messageIds }) {
+    return this.withDeadLetterChannel(queue, async (channel, deadLetterQueue) => {
+      const { messages } = await this.fetchMessages(channel, deadLetterQueue, tenantId, limit);
+      const selected = messageIds ? new Set(messageIds) : null;
+      const published = [];
+      const unroutable = [];
+      let skipped = 0;
+
+      // Replays are mandatory, so one that matches no queue comes back here instead of being dropped
+      const returned = new Set();
+      channel.on('return', (msg) => returned.add((msg.properties.headers || {})['x-replay-id']));
+
+      for (const msg of messages) {
+        if (selected && !selected.has(msg.properties.messageId)) {
+          skipped += 1;
+          continue;
+        }
+
+        const headers = { ...(msg.properties.headers || {}) };
+        const { exchange, routingKey } = this.getOrigin(headers);
+
+        if (routingKey === undefined || routingKey === null) {
+          unroutable.push(msg);
+          continue;
+        }
+
+        FAILURE_HEADERS.forEach((header) => delete headers[header]);
+        headers['x-replay-count'] = (headers['x-replay-count'] || 0) + 1;
+        headers['x-replay-id'] = crypto.randomUUID();
+
+        channel.publish(exchange, String(routingKey), msg.content, {
+          ...msg.properties,
+          persistent: true,
+          mandatory: true,
+          headers,
+        });
+        published.push({ msg, replayId: headers['x-replay-id'] });
+      }
+
+      // Only remove messages from the dead-letter queue once the broker has confirmed the replays
+      await channel.waitForConfirms();
+
+      const replayed = [];
+      published.forEach(({ msg, replayId }) => {
+        if (returned.has(replayId)) {
+          unroutable.push(msg);
+        } else {
+          channel.ack(msg);
+          replayed.push(msg);
+        }
+      });
+
+      const replayedIds = replayed.map((msg) => msg.properties.messageId);
+
+      if (unroutable.length > 0) {
+        console.warn(
+          `${unroutable.length} dead-lettered messages in ${deadLetterQueue} have no route back and were kept`
+        );
+      }
+
+      console.log(
+        `Replayed ${replayedIds.length} dead-lettered messages from ${deadLetterQueue} (${skipped} skipped)`
+      );
+
+      return {
+        replayed: replayedIds.length,
+        skipped,
+        unroutable: unroutable.length,
+        message_ids: replayedIds,
+      };
+    });
+  }
+
+  /**
+   * Deletes unattributed dead-lettered messages (unparseable, or without a
+   * tenant_id). They cannot be replayed, since every consumer rejects them.
+   * @param {string} queue - Source queue, e.g. customer_ingestion_queue
+   * @param {Object} options - { limit, messageIds }
+   * @returns {Promise<Object>} - { discarded, skipped, message_ids }
+   */
+  async discardUnattributed(queue, { limit, messageIds }) {
+    return this.withDeadLetterChannel(queue, async (channel, deadLetterQueue) => {
+      const { messages } = await this.fetchMessages(channel, deadLetterQueue, null, limit);
+      const selected = messageIds ? new Set(messageIds) : null;
+      const discarded = messages.filter((msg) => !selected || selected.has(msg.properties.messageId));
+
+      discarded.forEach((msg) => channel.ack(msg));
+      const discardedIds = discarded.map((msg) => msg.properties.messageId || null);
+
+      console.log(`Discarded ${discarded.length} unattributed dead-lettered messages from ${deadLetterQueue}`);
+
+      return {
+        discarded: discarded.length,
+        skipped: messages.length - discarded.length,
+        message_ids: discardedIds,
+      };
+    });
+  }
+
+  async withDeadLetterChannel(queue, callback) {
+    const deadLetterQueue = rabbitMQ.getDeadLetterQueue(queue);
+
+    if (!deadLetterQueue) {
+      throw new ServiceError(`No dead-letter queue configured for ${queue}`, 404);
+    }
+
+    const channel = await rabbitMQ.createConfirmChannel();
+
+    try {
+      return await callback(channel, deadLetterQueue);
+    } finally {
+      // Closing the channel returns any messages still unacked to the dead-letter queue
+      await channel.close();
+    }
+  }
+
+  /**
+   * Takes up to `limit` of a tenant's messages off the dead-letter queue and holds
+   * them unacked for the caller. At most maxScanned messages are inspected, and no
+   * more than the queue held at the start.
+   * Other messages are held unacked until the scan ends, so they are not fetched
+   * again, then requeued to their original position. Nothing is republished, so
+   * another tenant's messages are never copied or reordered.
+   * @param {Object} channel - Channel of this request alone, closed by withDeadLetterChannel
+   * @param {string} deadLetterQueue - Dead-letter queue
+   * @param {string|null} tenantId - Tenant, or null for unattributed messages
+   * @param {number} limit - Most messages to return
+   * @returns {Promise<Object>} - { messageCount, messages }
+   */
+  async fetchMessages(channel, deadLetterQueue, tenantId, limit) {
+    const { messageCount } = await channel.checkQueue(deadLetterQueue);
+    const toScan = Math.min(messageCount, this.maxScanned);
+    const messages = [];
+    const others = [];
+    let scanned = 0;
+
+    while (messages.length < limit && scanned < toScan) {
+      const msg = await channel.get(deadLetterQueue, { noAck: false });
+      if (!msg) break;
+      scanned += 1;
+
+      if (this.getTenant(msg) === tenantId) {
+        messages.push(msg);
+      } else {
+        others.push(msg);
+      }
+    }
+
+    others.forEach((msg) => channel.nack(msg, false, true));
+
+    return { messageCount, messages };
+  }
+
+  /**
+   * Where a dead-lettered message came from. Consumer failures record it in
+   * x-original-* headers; messages that expired in their queue were dead-lettered
+   * by the broker, which records it in x-death instead.
+   * @param {Object} headers - Message headers
+   * @returns {Object} - { exchange, routingKey }, routingKey undefined if unknown
+   */
+  getOrigin(headers) {
+    if (headers['x-original-routing-key'] !== undefined) {
+      return {
+        exchange: headers['x-original-exchange'] ?? 'data_ingestion',
+        routingKey: headers['x-original-routing-key'],
+      };
+    }
+
+    const [death] = Array.isArray(headers['x-death']) ? headers['x-death'] : [];
+
+    return {
+      exchange: (death && death.exchange) ?? 'data_ingestion',
+      routingKey: death && Array.isArray(death['routing-keys']) ? death['routing-keys'][0] : undefined,
+    };
+  }
+
+  // Tenant a message belongs to, or null when it is unparseable or has no tenant_id
+  getTenant(msg) {
+    const content = this.parseContent(msg);
+    return content && typeof content.tenant_id === 'string' ? content.tenant_id : null;
+  }
+
+  parseContent(msg) {
+    try {
+      return JSON.parse(msg.content.toString());
+    } catch (error) {
+      return null;
+    }
+  }
+
+  formatMessage(msg) {
+    const headers = msg.properties.headers || {};
+    const content = this.parseContent(msg) ?? msg.content.toString();
+
+    return {
+      message_id: msg.properties.messageId || null,
+      routing_key: this.getOrigin(headers).routingKey || null,
+      error_name: headers['x-error-name'] || headers['x-first-death-reason'] || null,
+      error_message: headers['x-error-message'] || null,
+      failed_at: headers['x-failed-at'] || null,
+      replay_count: headers['x-replay-count'] || 0,
+      content,
+    };
+  }
+}
+
+// Create and export singleton instance
+const deadLetterService = new DeadLetterService();
+
+module.exports = deadLetterService;
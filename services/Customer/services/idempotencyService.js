@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const { customerDB } = require('../../../shared/database');
+const { ServiceError } = require('../../../shared/utils/errors');
+const Joi = require('joi');
+
+const idempotencyKeySchema = Joi.string().trim().min(1).max(255);
+
+// Carries a client-supplied Idempotency-Key; other messages only have a generated message id
+const IDEMPOTENCY_KEY_HEADER = 'x-idempotency-key';
+
+// API operations an Idempotency-Key is scoped to, so one key cannot collide across endpoints
+const OPERATIONS = {
+  CREATE_CUSTOMER: 'create_customer',
+  CREATE_ORDER: 'create_order',
+  CHANGE_ORDER_STATUS: 'change_order_status',
+};
+
+// JSON with object keys sorted, so equal payloads hash equally whatever their key order
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+class IdempotencyService {
+  constructor() {
+    this.staleReservationAfter = 5 * 60 * 1000; // A key reserved this long without a job was abandoned mid-request
+  }
+
+  /**
+   * Reads and validates the Idempotency-Key header of an ingestion request
+   * @param {Object} req - Express request
+   * @returns {{ key: string|undefined, error: string|undefined }} - Key when supplied, error when malformed
+   */
+  getIdempotencyKey(req) {
+    const header = req.get('Idempotency-Key');
+
+    if (header === undefined) {
+      return { key: undefined };
+    }
+
+    const { error, value } = idempotencyKeySchema.validate(header);
+
+    return error
+      ? { error: 'Idempotency-Key must be between 1 and 255 characters' }
+      : { key: value };
+  }
+
+  hashRequest(payload) {
+    return crypto.createHash('sha256').update(canonicalJson(payload)).digest('hex');
+  }
+
+  /**
+   * Reserves a client's Idempotency-Key for an API operation before its message is
+   * published. A retry of the same request gets the job of the first one back
+   * instead of publishing again.
+   * @param {string} tenantId - Tenant making the request; tenants may reuse keys
+   * @param {string} operation - One of OPERATIONS
+   * @param {string|undefined} key - Key from getIdempotencyKey
+   * @param {Object} payload - Validated request, compared against the first use of the key
+   * @returns {Promise<{ replayJobId: string|null }|null>} - null without a key; replayJobId when the request was already accepted
+   * @throws {ServiceError} 422 when the key was used for a different request, 409 while the first request is still in progress
+   */
+  async reserveKey(tenantId, operation, key, payload) {
+    if (!key) return null;
+
+    const requestHash = this.hashRequest(payload);
+    const where = {
+      tenant_id_operation_idempotency_key: { tenant_id: tenantId, operation, idempotency_key: key },
+    };
+
+    const { count } = await customerDB.prisma.idempotency_keys.createMany({
+      data: [{ tenant_id: tenantId, operation, idempotency_key: key, request_hash: requestHash }],
+      skipDuplicates: true,
+    });
+
+    if (count > 0) {
+      return { replayJobId: null };
+    }
+
+    const existing = await customerDB.prisma.idempotency_keys.findUnique({ where });
+
+    if (!existing) {
+      // Released by a failed first attempt between our insert and read
+      throw new ServiceError('A request with this Idempotency-Key is in progress, please retry', 409);
+    }
+
+    if (existing.request_hash !== requestHash) {
+      throw new ServiceError('Idempotency-Key was already used for a different request', 422);
+    }
+
+    if (existing.job_id) {
+      return { replayJobId: existing.job_id };
+    }
+
+    // A request that reserved the key and never finished (e.g. the process stopped) is taken over
+    const staleBefore = new Date(Date.now() - this.staleReservationAfter);
+    const { count: takenOver } = await customerDB.prisma.idempotency_keys.updateMany({
+      where: { ...where.tenant_id_operation_idempotency_key, job_id: null, created_at: { lt: staleBefore } },
+      data: { created_at: new Date() },
+    });
+
+    if (takenOver === 0) {
+      throw new ServiceError('A request with this Idempotency-Key is in progress, please retry', 409);
+    }
+
+    return { replayJobId: null };
+  }
+
+  /**
+   * Records the job a reserved key's request was accepted as
+   * @param {string} tenantId - Tenant ID
+   * @param {string} operation - One of OPERATIONS
+   * @param {string|undefined} key - Reserved key
+   * @param {string} jobId - Ingestion job of the request
+   * @returns {Promise<void>}
+   */
+  async completeKey(tenantId, operation, key, jobId) {
+    if (!key) return;
+
+    await customerDB.prisma.idempotency_keys.updateMany({
+      where: { tenant_id: tenantId, operation, idempotency_key: key },
+      data: { job_id: jobId },
+    });
+  }
+
+  /**
+   * Frees a reserved key after its request failed, so the client can retry with it
+   * @param {string} tenantId - Tenant ID
+   * @param {string} operation - One of OPERATIONS
+   * @param {string|undefined} key - Reserved key
+   * @returns {Promise<void>}
+   */
+  async releaseKey(tenantId, operation, key) {
+    if (!key) return;
+
+    try {
+      await customerDB.prisma.idempotency_keys.deleteMany({
+        where: { tenant_id: tenantId, operation, idempotency_key: key, job_id: null },
+      });
+    } catch (error) {
+      console.error(`Failed to release Idempotency-Key for ${operation}:`, error.message);
+    }
+  }
+
+  /**
+   * Publish options for an ingestion message. A client-supplied key becomes the
+   * message id and is flagged in a header.
+   * @param {string|undefined} idempotencyKey - Key from getIdempotencyKey
+   * @returns {Object} - amqplib publish options
+   */
+  getPublishOptions(idempotencyKey) {
+    return idempotencyKey
+      ? { messageId: idempotencyKey, headers: { [IDEMPOTENCY_KEY_HEADER]: idempotencyKey } }
+      : {};
+  }
+
+  /**
+   * Reads the key a consumed message is deduplicated on: the client's
+   * Idempotency-Key, or else the message id generated when it was published,
+   * which stays the same across redeliveries and retries
+   * @param {Object} message - amqplib message
+   * @returns {string|undefined} - Key, or undefined when the message has neither
+   */
+  getMessageKey(message) {
+    if (!message) return undefined;
+
+    const { headers, messageId } = message.properties;
+    return (headers && headers[IDEMPOTENCY_KEY_HEADER]) || messageId || undefined;
+  }
+
+  /**
+   * Claims a message for a consumer inside the consumer's transaction. The claim
+   * commits with the message's changes, so a redelivered or retried message with
+   * the same key finds it and becomes a no-op.
+   * @param {string} consumer - Consumer name
+   * @param {string} operation - Event type, so the same key on different operations does not collide
+   * @param {string} tenantId - Tenant the message belongs to; tenants may reuse Idempotency-Keys
+   * @param {string|undefined} messageKey - Key from getMessageKey
+   * @param {Object} client - Prisma client or transaction client
+   * @returns {Promise<boolean>} - false when the message was already processed
+   */
+  async claimMessage(consumer, operation, tenantId, messageKey, client = customerDB.prisma) {
+    if (!messageKey) return true;
+
+    // ON CONFLICT DO NOTHING, so a duplicate does not abort the surrounding transaction
+    const { count } = await client.processed_messages.createMany({
+      data: [{ consumer: `${consumer}:${operation}`, tenant_id: tenantId, message_id: messageKey }],
+      skipDuplicates: true,
+    });
+
+    return count > 0;
+  }
+
+  /**
+   * Deletes claims and key reservations older than the cutoff in batches. A retry
+   * with the same key after that is processed again.
+   * @param {Date} cutoff - Rows created before this time are deleted
+   * @param {number} batchSize - Rows deleted per statement
+   * @returns {Promise<number>} - Number of rows deleted
+   */
+  async deleteProcessedBefore(cutoff, batchSize = 1000) {
+    let deleted = 0;
+
+    while (true) {
+      const count = await customerDB.prisma.$executeRaw`
+        DELETE FROM processed_messages
+        WHERE ctid IN (
+          SELECT ctid FROM processed_messages
+          WHERE processed_at < ${cutoff}
+          LIMIT ${batchSize}
+        )
+      `;
+      deleted += count;
+
+      if (count < batchSize) {
+        break;
+      }
+    }
+
+    while (true) {
+      const count = await customerDB.prisma.$executeRaw`
+        DELETE FROM idempotency_keys
+        WHERE ctid IN (
+          SELECT ctid FROM idempotency_keys
+          WHERE created_at < ${cutoff}
+          LIMIT ${batchSize}
+        )
+      `;
+      deleted += count;
+
+      if (count < batchSize) {
+        break;
+      }
+    }
+
+    return deleted;
+  }
+}
+
+// Create and export singleton instance
+const idempotencyService = new IdempotencyService();
+
+module.exports = idempotencyService;
+module.exports.OPERATIONS = OPERATIONS;
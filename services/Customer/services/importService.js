@@ -0,0 +1,221 @@
+const { customerDB } = require('../../../shared/database');
+const rabbitMQ = require('../../../shared/utils/rabbitmq');
+const { ServiceError } = require('../../../shared/utils/errors');
+const ingestionJobService = require('./ingestionJobService');
+
+// Event published per accepted row, matching what the single-record APIs publish
+const IMPORT_EVENTS = {
+  customer: { routingKey: 'customer', eventType: 'customer_data_received' },
+  order: { routingKey: 'order', eventType: 'order_data_received' },
+};
+
+class ImportService {
+  constructor() {
+    this.maxRows = 50000; // Rows accepted per upload
+    this.chunkSize = 500; // Rows published between progress updates
+    this.maxStoredErrors = 10000; // Row errors kept on the job record
+    this.staleJobAfter = 5 * 60 * 1000; // A PUBLISHING job without progress for this long was interrupted
+    this.staleJobSweepInterval = 60 * 1000; // 1 minute
+    this.staleJobSweep = null;
+  }
+
+  /**
+   * Periodically fails jobs left PUBLISHING by an API process that stopped
+   * mid-import, so they do not report PUBLISHING forever
+   * @returns {void}
+   */
+  startStaleJobSweep() {
+    if (this.staleJobSweep) return;
+
+    const sweep = () =>
+      ingestionJobService.failStalePublishingJobs(this.staleJobAfter).catch((error) => {
+        console.error('Failed to sweep interrupted ingestion jobs:', error.message);
+      });
+
+    sweep();
+    this.staleJobSweep = setInterval(sweep, this.staleJobSweepInterval);
+    this.staleJobSweep.unref();
+  }
+
+  /**
+   * Validates parsed rows, records an ingestion job and starts publishing the
+   * accepted rows to data_ingestion in the background.
+   * @param {Object} params - { tenantId, entityType, format, parsedRows, schema, actor }
+   * @returns {Promise<Object>} - Created ingestion job
+   */
+  async createImport({ tenantId, entityType, format, parsedRows, schema, actor }) {
+    if (parsedRows.length === 0) {
+      throw new ServiceError('Upload contains no rows', 400);
+    }
+
+    if (parsedRows.length > this.maxRows) {
+      throw new ServiceError(
+        `Upload contains ${parsedRows.length} rows; at most ${this.maxRows} are allowed per import`,
+        413
+      );
+    }
+
+    const { accepted, rejected } = this.validateRows(parsedRows, schema);
+
+    if (entityType === 'order') {
+      await this.rejectUnknownCustomers(tenantId, accepted, rejected);
+    }
+
+    const acceptedRows = accepted.filter((row) => !row.rejected);
+    rejected.sort((a, b) => a.row - b.row);
+
+    const job = await ingestionJobService.createJob({
+      tenantId,
+      entityType,
+      source: 'bulk_import',
+      format,
+      totalRows: parsedRows.length,
+      acceptedRows: acceptedRows.length,
+      rejectedRows: rejected.length,
+      rowErrors: rejected.slice(0, this.maxStoredErrors),
+      createdBy: actor,
+    });
+
+    console.log(
+      `Import job ${job.job_id} created: ${entityType} ${format}, ${acceptedRows.length} accepted, ${rejected.length} rejected`
+    );
+
+    if (acceptedRows.length > 0) {
+      // Publishing continues after the HTTP response; progress is tracked on the job
+      this.publishRows(job, acceptedRows).catch((error) => {
+        console.error(`Import job ${job.job_id} publishing failed:`, error);
+      });
+    }
+
+    return job;
+  }
+
+  validateRows(parsedRows, schema) {
+    const accepted = [];
+    const rejected = [];
+
+    parsedRows.forEach(({ row, data, error: parseError }) => {
+      if (parseError) {
+        rejected.push({ row, errors: [{ field: null, message: parseError }] });
+        return;
+      }
+
+      const { error, value } = schema.validate(data, {
+        abortEarly: false,
+        stripUnknown: true,
+      });
+
+      if (error) {
+        rejected.push({
+          row,
+          errors: error.details.map((detail) => ({
+            field: detail.path.join('.'),
+            message: detail.message,
+          })),
+        });
+        return;
+      }
+
+      accepted.push({ row, data: value });
+    });
+
+    return { accepted, rejected };
+  }
+
+  // Orders can only be ingested for existing customers, so check emails up front in batches.
+  // The error names the row but not the email, since row_errors outlive a customer's erasure.
+  async rejectUnknownCustomers(tenantId, accepted, rejected) {
+    for (let i = 0; i < accepted.length; i += this.chunkSize) {
+      const chunk = accepted.slice(i, i + this.chunkSize);
+      const emails = [...new Set(chunk.map((row) => row.data.customer_email))];
+
+      const existing = await customerDB.prisma.customers.findMany({
+        where: { tenant_id: tenantId, email: { in: emails } },
+        select: { email: true },
+      });
+      const knownEmails = new Set(existing.map((customer) => customer.email));
+
+      chunk.forEach((row) => {
+        if (!knownEmails.has(row.data.customer_email)) {
+          row.rejected = true;
+          rejected.push({
+            row: row.row,
+            errors: [
+              {
+                field: 'customer_email',
+                message: 'No customer exists with this customer_email',
+              },
+            ],
+          });
+        }
+      });
+    }
+  }
+
+  /**
+   * Publishes accepted rows in chunks, updating job progress after each chunk. A
+   * chunk with rows that fail to publish fails the job; the rows of that chunk the
+   * broker confirmed still count as published, since they will be processed.
+   * @param {Object} job - Ingestion job
+   * @param {Array<{row: number, data: Object}>} rows - Accepted rows
+   * @returns {Promise<void>}
+   */
+  async publishRows(job, rows) {
+    const { routingKey, eventType } = IMPORT_EVENTS[job.entity_type];
+    let publishedRows = 0;
+
+    try {
+      await rabbitMQ.ensureConnection();
+
+      for (let i = 0; i < rows.length; i += this.chunkSize) {
+        const chunk = rows.slice(i, i + this.chunkSize);
+
+        // Publish the chunk together and wait for every broker confirm or failure
+        const results = await Promise.allSettled(
+          chunk.map(({ row, data }) =>
+            rabbitMQ.publishMessage('data_ingestion', routingKey, {
+              eventType,
+              timestamp: new Date().toISOString(),
+              source: 'bulk_import',
+              tenant_id: job.tenant_id,
+              job_id: job.job_id,
+              row,
+              data,
+            })
+          )
+        );
+
+        const failedRows = chunk.filter((row, index) => results[index].status === 'rejected');
+        publishedRows += chunk.length - failedRows.length;
+
+        if (failedRows.length > 0) {
+          const { reason } = results.find((result) => result.status === 'rejected');
+          throw new Error(
+            `${failedRows.length} rows failed to publish (rows ${failedRows
+              .slice(0, 10)
+              .map(({ row }) => row)
+              .join(', ')}${failedRows.length > 10 ? ', ...' : ''}): ${reason.message}`,
+            { cause: reason }
+          );
+        }
+
+        await ingestionJobService.updatePublishedRows(job.job_id, publishedRows);
+
+        // Yield between chunks so large imports do not starve the API
+        await new Promise((resolve) => setImmediate(resolve));
+      }
+
+      await ingestionJobService.markPublished(job.job_id, publishedRows);
+
+      console.log(`Import job ${job.job_id} published ${publishedRows} rows`);
+    } catch (error) {
+      await ingestionJobService.markFailed(job.job_id, error, publishedRows);
+      throw error;
+    }
+  }
+}
+
+// Create and export singleton instance
+const importService = new ImportService();
+
+module.exports = importService;
@@ -0,0 +1,301 @@
+const { customerDB } = require('../../../shared/database');
+const { ServiceError } = require('../../../shared/utils/errors');
+
+// PENDING -> PUBLISHING -> PUBLISHED -> COMPLETED | COMPLETED_WITH_ERRORS, or FAILED when publishing stops
+const JOB_STATUSES = {
+  PUBLISHING: 'PUBLISHING',
+  PUBLISHED: 'PUBLISHED',
+  COMPLETED: 'COMPLETED',
+  COMPLETED_WITH_ERRORS: 'COMPLETED_WITH_ERRORS',
+  FAILED: 'FAILED',
+};
+
+class IngestionJobService {
+  constructor() {
+    this.defaultFailuresLimit = 100; // Failures returned with a job report
+  }
+
+  /**
+   * Creates an ingestion job. Every message published to data_ingestion for the
+   * job carries its job_id so consumers can report back per message.
+   * @param {Object} params - { tenantId, entityType, source, format, totalRows, acceptedRows, rejectedRows, rowErrors, createdBy }
+   * @returns {Promise<Object>} - Created ingestion job
+   */
+  async createJob({
+    tenantId,
+    entityType,
+    source,
+    format = null,
+    totalRows,
+    acceptedRows = totalRows,
+    rejectedRows = 0,
+    rowErrors,
+    createdBy,
+  }) {
+    const hasRows = acceptedRows > 0;
+
+    return customerDB.prisma.ingestion_jobs.create({
+      data: {
+        tenant_id: tenantId,
+        entity_type: entityType,
+        source,
+        format,
+        status: hasRows
+          ? JOB_STATUSES.PUBLISHING
+          : this.completedStatus({ failed_rows: 0, rejected_rows: rejectedRows }),
+        total_rows: totalRows,
+        accepted_rows: acceptedRows,
+        rejected_rows: rejectedRows,
+        row_errors: rowErrors || undefined,
+        created_by: createdBy || null,
+        completed_at: hasRows ? null : new Date(),
+      },
+    });
+  }
+
+  // updated_at doubles as the publisher's heartbeat, see failStalePublishingJobs
+  async updatePublishedRows(jobId, publishedRows) {
+    return customerDB.prisma.ingestion_jobs.update({
+      where: { job_id: jobId },
+      data: { published_rows: publishedRows, updated_at: new Date() },
+    });
+  }
+
+  /**
+   * Marks publishing as finished. Consumers may already have processed every
+   * message, so the job is completed here too when nothing is outstanding.
+   * @param {string} jobId - Ingestion job id
+   * @param {number} publishedRows - Messages published for the job
+   * @returns {Promise<Object>} - Updated job
+   */
+  async markPublished(jobId, publishedRows) {
+    const job = await customerDB.prisma.ingestion_jobs.update({
+      where: { job_id: jobId },
+      data: { status: JOB_STATUSES.PUBLISHED, published_rows: publishedRows, updated_at: new Date() },
+    });
+
+    return this.completeIfFinished(job);
+  }
+
+  async markFailed(jobId, error, publishedRows) {
+    return customerDB.prisma.ingestion_jobs.update({
+      where: { job_id: jobId },
+      data: {
+        status: JOB_STATUSES.FAILED,
+        published_rows: publishedRows,
+        error_message: error.message,
+        updated_at: new Date(),
+        completed_at: new Date(),
+      },
+    });
+  }
+
+  /**
+   * Fails jobs whose publisher stopped making progress. Rows are published by the
+   * API process after it responds, so a restart mid-import leaves the job
+   * PUBLISHING with nothing left to publish its remaining rows.
+   * @param {number} staleAfter - Milliseconds without progress after which publishing counts as interrupted
+   * @returns {Promise<number>} - Number of jobs failed
+   */
+  async failStalePublishingJobs(staleAfter) {
+    const cutoff = new Date(Date.now() - staleAfter);
+    const staleWhere = { status: JOB_STATUSES.PUBLISHING, updated_at: { lt: cutoff } };
+
+    const staleJobs = await customerDB.prisma.ingestion_jobs.findMany({
+      where: staleWhere,
+      select: { job_id: true, accepted_rows: true, published_rows: true },
+    });
+
+    let failed = 0;
+
+    for (const job of staleJobs) {
+      // Conditional, so a publisher that reports progress meanwhile keeps its job
+      const { count } = await customerDB.prisma.ingestion_jobs.updateMany({
+        where: { job_id: job.job_id, ...staleWhere },
+        data: {
+          status: JOB_STATUSES.FAILED,
+          error_message: `Publishing was interrupted after ${job.published_rows} of ${job.accepted_rows} rows; the remaining rows were not published`,
+          updated_at: new Date(),
+          completed_at: new Date(),
+        },
+      });
+
+      if (count > 0) {
+        failed += 1;
+        console.warn(`Ingestion job ${job.job_id} failed: publishing interrupted after ${job.published_rows} rows`);
+      }
+    }
+
+    return failed;
+  }
+
+  /**
+   * Records that a consumer processed a job message. Tracking problems are
+   * logged rather than thrown so they never fail the message itself.
+   * @param {string|undefined} jobId - job_id carried by the message
+   * @returns {Promise<void>}
+   */
+  async recordSuccess(jobId) {
+    if (!jobId) return;
+
+    try {
+      const job = await customerDB.prisma.ingestion_jobs.update({
+        where: { job_id: jobId },
+        data: { processed_rows: { increment: 1 } },
+      });
+
+      await this.completeIfFinished(job);
+    } catch (error) {
+      console.error(`Failed to record success for ingestion job ${jobId}:`, error.message);
+    }
+  }
+
+  /**
+   * Records a redelivered message skipped because it was already processed. Its
+   * first delivery normally counted it, so the job is only counted if it has no
+   * result yet: the consumer stopped between committing the message and counting
+   * it, which for one-row API jobs would otherwise leave the job unfinished.
+   * @param {string|undefined} jobId - job_id carried by the message
+   * @returns {Promise<void>}
+   */
+  async recordDuplicate(jobId) {
+    if (!jobId) return;
+
+    try {
+      const { count } = await customerDB.prisma.ingestion_jobs.updateMany({
+        where: {
+          job_id: jobId,
+          status: { in: [JOB_STATUSES.PUBLISHING, JOB_STATUSES.PUBLISHED] },
+          processed_rows: 0,
+          failed_rows: 0,
+        },
+        data: { processed_rows: { increment: 1 } },
+      });
+
+      if (count > 0) {
+        const job = await customerDB.prisma.ingestion_jobs.findUnique({ where: { job_id: jobId } });
+        await this.completeIfFinished(job);
+      }
+    } catch (error) {
+      console.error(`Failed to record duplicate for ingestion job ${jobId}:`, error.message);
+    }
+  }
+
+  /**
+   * Records a failed job message along with the reason and the payload that failed
+   * @param {string|undefined} jobId - job_id carried by the message
+   * @param {Object} failure - { row, messageId, eventType, error, payload }
+   * @returns {Promise<void>}
+   */
+  async recordFailure(jobId, { row, messageId, eventType, error, payload }) {
+    if (!jobId) return;
+
+    try {
+      const job = await customerDB.prisma.$transaction(async (tx) => {
+        await tx.ingestion_job_failures.create({
+          data: {
+            job_id: jobId,
+            row: Number.isInteger(row) ? row : null,
+            message_id: messageId || null,
+            event_type: eventType || null,
+            error_message: error.message,
+            payload: payload || undefined,
+          },
+        });
+
+        return tx.ingestion_jobs.update({
+          where: { job_id: jobId },
+          data: { failed_rows: { increment: 1 } },
+        });
+      });
+
+      await this.completeIfFinished(job);
+    } catch (trackingError) {
+      console.error(`Failed to record failure for ingestion job ${jobId}:`, trackingError.message);
+    }
+  }
+
+  /**
+   * Removes an erased customer's personal data from recorded job failures: the
+   * failed payload is dropped and the email is masked in the error message.
+   * Customer rows are matched on email and order rows on customer_email.
+   * @param {string} tenantId - Tenant the customer belonged to
+   * @param {string} email - Erased customer's email, lowercased
+   * @param {Object} client - Prisma client or transaction client
+   * @returns {Promise<number>} - Number of failures scrubbed
+   */
+  async scrubCustomerFailures(tenantId, email, client = customerDB.prisma) {
+    return client.$executeRaw`
+      UPDATE ingestion_job_failures AS f
+      SET payload = NULL, error_message = replace(f.error_message, ${email}, '[erased]')
+      FROM ingestion_jobs AS j
+      WHERE j.job_id = f.job_id
+        AND j.tenant_id = ${tenantId}
+        AND (lower(f.payload->>'email') = ${email} OR lower(f.payload->>'customer_email') = ${email})
+    `;
+  }
+
+  async completeIfFinished(job) {
+    if (job.status !== JOB_STATUSES.PUBLISHED) return job;
+    if (job.processed_rows + job.failed_rows < job.published_rows) return job;
+
+    const status = this.completedStatus(job);
+
+    // Conditional update so concurrent consumers complete the job only once
+    const { count } = await customerDB.prisma.ingestion_jobs.updateMany({
+      where: { job_id: job.job_id, status: JOB_STATUSES.PUBLISHED },
+      data: { status, completed_at: new Date() },
+    });
+
+    if (count > 0) {
+      console.log(
+        `Ingestion job ${job.job_id} ${status}: ${job.processed_rows} processed, ${job.failed_rows} failed, ${job.rejected_rows} rejected`
+      );
+    }
+
+    return { ...job, status };
+  }
+
+  completedStatus(job) {
+    return job.failed_rows > 0 || job.rejected_rows > 0
+      ? JOB_STATUSES.COMPLETED_WITH_ERRORS
+      : JOB_STATUSES.COMPLETED;
+  }
+
+  /**
+   * Fetches a job report with counts and the earliest consumer failures
+   * @param {string} tenantId - Tenant the job belongs to
+   * @param {string} jobId - Ingestion job id
+   * @param {Object} options - { failuresLimit }
+   * @returns {Promise<Object>} - Job with failures
+   */
+  async getJob(tenantId, jobId, { failuresLimit = this.defaultFailuresLimit } = {}) {
+    const job = await customerDB.prisma.ingestion_jobs.findUnique({
+      where: { job_id: jobId, tenant_id: tenantId },
+      include: {
+        ingestion_job_failures: {
+          orderBy: [{ row: 'asc' }, { created_at: 'asc' }],
+          take: failuresLimit,
+        },
+      },
+    });
+
+    if (!job) {
+      throw new ServiceError(`Ingestion job ${jobId} not found`, 404);
+    }
+
+    const { ingestion_job_failures: failures, ...report } = job;
+
+    return {
+      ...report,
+      pending_rows: Math.max(report.published_rows - report.processed_rows - report.failed_rows, 0),
+      failures,
+    };
+  }
+}
+
+// Create and export singleton instance
+const ingestionJobService = new IngestionJobService();
+
+module.exports = ingestionJobService;
+module.exports.JOB_STATUSES = JOB_STATUSES;
@@ -0,0 +1,115 @@
+const { customerDB } = require('../../../shared/database');
+const { ServiceError } = require('../../../shared/utils/errors');
+const customerStatsService = require('./customerStatsService');
+const outboxService = require('./outboxService');
+const auditService = require('./auditService');
+
+const ORDER_STATUSES = {
+  PENDING: 'PENDING',
+  COMPLETED: 'COMPLETED',
+  CANCELLED: 'CANCELLED',
+  REFUNDED: 'REFUNDED',
+};
+
+// Allowed order status transitions. CANCELLED and REFUNDED are final.
+const TRANSITIONS = {
+  PENDING: ['COMPLETED', 'CANCELLED'],
+  COMPLETED: ['REFUNDED'],
+  CANCELLED: [],
+  REFUNDED: [],
+};
+
+class OrderStatusService {
+  // orders.order_status is nullable and defaults to COMPLETED
+  normalizeStatus(status) {
+    return String(status || ORDER_STATUSES.COMPLETED).toUpperCase();
+  }
+
+  canTransition(fromStatus, toStatus) {
+    const allowed = TRANSITIONS[this.normalizeStatus(fromStatus)] || [];
+    return allowed.includes(toStatus);
+  }
+
+  assertTransition(order, toStatus) {
+    if (!TRANSITIONS[toStatus]) {
+      throw new ServiceError(
+        `Unknown order status ${toStatus}. Allowed statuses: ${Object.keys(TRANSITIONS).join(', ')}`,
+        400
+      );
+    }
+
+    if (!this.canTransition(order.order_status, toStatus)) {
+      throw new ServiceError(
+        `Order ${order.order_id} cannot move from ${this.normalizeStatus(order.order_status)} to ${toStatus}`,
+        409
+      );
+    }
+  }
+
+  async getOrder(tenantId, orderId, client = customerDB.prisma) {
+    const order = await client.orders.findUnique({
+      where: { order_id: orderId, tenant_id: tenantId },
+    });
+
+    if (!order) {
+      throw new ServiceError(`Order ${orderId} not found`, 404);
+    }
+
+    return order;
+  }
+
+  /**
+   * Moves an order to a new status and applies the change to its customer: the
+   * spend/visit aggregates, the customers_mv outbox event and the audit log all
+   * commit in the caller's transaction.
+   * @param {string} tenantId - Tenant the order belongs to
+   * @param {string} orderId - Order ID
+   * @param {string} toStatus - Target status
+   * @param {Object} context - { actor, reason }
+   * @param {Object} tx - Transaction client
+   * @returns {Promise<Object>} - { previousStatus, order, customer }
+   */
+  async applyStatusChange(tenantId, orderId, toStatus, { actor, reason } = {}, tx) {
+    const order = await this.getOrder(tenantId, orderId, tx);
+    this.assertTransition(order, toStatus);
+
+    // Conditional on the status read, so concurrent transitions cannot both apply their stats
+    const { count } = await tx.orders.updateMany({
+      where: { order_id: orderId, order_status: order.order_status },
+      data: { order_status: toStatus },
+    });
+
+    if (count === 0) {
+      // Plain Error so the consumer retries against the new status
+      throw new Error(`Order ${orderId} changed status concurrently`);
+    }
+
+    const updatedOrder = { ...order, order_status: toStatus };
+    const previousStatus = this.normalizeStatus(order.order_status);
+
+    const customer = await customerStatsService.applyOrderStatusChange(updatedOrder, previousStatus, tx);
+    await outboxService.recordCustomerMVUpsert(customer, 'stats_updated', tx);
+
+    await auditService.record(
+      {
+        tenantId,
+        action: 'order_status_changed',
+        entityType: 'order',
+        entityId: orderId,
+        actor,
+        details: { from: previousStatus, to: toStatus, reason: reason || null },
+      },
+      tx
+    );
+
+    console.log(`Order ${orderId} status: ${previousStatus} → ${toStatus}`);
+
+    return { previousStatus, order: updatedOrder, customer };
+  }
+}
+
+// Create and export singleton instance
+const orderStatusService = new OrderStatusService();
+
+module.exports = orderStatusService;
+module.exports.ORDER_STATUSES = ORDER_STATUSES;
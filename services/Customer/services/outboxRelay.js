@@ -0,0 +1,250 @@
+const { customerDB } = require('../../../shared/database');
+const rabbitMQ = require('../../../shared/utils/rabbitmq');
+const outboxService = require('./outboxService');
+const idempotencyService = require('./idempotencyService');
+
+class OutboxRelay {
+  constructor() {
+    this.isRunning = false;
+    this.pollingInterval = 1000; // Wait between polls once the outbox is drained
+    this.batchSize = 100; // Events claimed per batch
+    this.claimTimeout = 60000; // A claimed event not marked within this long is claimed again
+    this.maxAttempts = 10; // Failed publishes before an event is parked
+    this.retryDelay = 5000; // Doubles per failed attempt, up to maxRetryDelay
+    this.maxRetryDelay = 15 * 60 * 1000;
+    this.retentionDays = parseInt(process.env.OUTBOX_RETENTION_DAYS, 10) || 7; // Published events are kept this long
+    this.processedMessagesRetentionDays = parseInt(process.env.PROCESSED_MESSAGES_RETENTION_DAYS, 10) || 7; // Idempotency claims are kept this long
+    this.sweepInterval = 60 * 60 * 1000; // Retention sweep runs hourly
+    this.lastSweepAt = 0;
+  }
+
+  async start() {
+    try {
+      console.log('Starting Outbox Relay...');
+
+      await rabbitMQ.ensureConnection();
+
+      if (!rabbitMQ.isConnectionActive()) {
+        throw new Error('Failed to establish RabbitMQ connection');
+      }
+
+      this.isRunning = true;
+      this.processOutbox();
+
+      console.log(
+        `Outbox Relay started. Relaying: ${outboxService.getRoutedEventTypes().join(', ')}`
+      );
+    } catch (error) {
+      console.error('Failed to start Outbox Relay:', error);
+      throw error;
+    }
+  }
+
+  async processOutbox() {
+    while (this.isRunning) {
+      try {
+        const relayed = await this.relayBatch();
+        await this.sweepIfDue();
+
+        // Keep going while there is a backlog, otherwise wait for new events
+        if (relayed < this.batchSize) {
+          await new Promise((resolve) => setTimeout(resolve, this.pollingInterval));
+        }
+      } catch (error) {
+        console.error('Error in outbox relay loop:', error);
+        await new Promise((resolve) => setTimeout(resolve, this.pollingInterval * 5));
+      }
+    }
+  }
+
+  /**
+   * Publishes the oldest due outbox events in id order and marks each one published
+   * as soon as the broker confirms it. Publishing happens outside any transaction,
+   * so nothing already confirmed is rolled back and published again.
+   *
+   * An event that fails is retried with backoff and parked after maxAttempts, while
+   * later events go ahead: the CustomerMV consumer orders upserts by version and
+   * keeps erased customers as tombstones, so delivery order does not matter. When
+   * the broker connection itself is down, the batch stops without counting attempts.
+   * @returns {Promise<number>} - Number of events relayed
+   */
+  async relayBatch() {
+    const events = await this.claimEvents();
+    let relayed = 0;
+
+    for (let index = 0; index < events.length; index++) {
+      const event = events[index];
+
+      try {
+        await this.publishEvent(event);
+      } catch (error) {
+        console.error(`Failed to relay outbox event ${event.id} (${event.event_type}):`, error.message);
+
+        if (!rabbitMQ.isConnectionActive()) {
+          await this.releaseEvents(events.slice(index));
+          break;
+        }
+
+        await this.recordFailure(event, error);
+        continue;
+      }
+
+      // updateMany: a customer erase may have deleted the event meanwhile
+      await customerDB.prisma.outbox_events.updateMany({
+        where: { id: event.id },
+        data: { published: true, published_at: new Date(), next_attempt_at: null },
+      });
+      relayed++;
+    }
+
+    if (relayed > 0) {
+      console.log(`Relayed ${relayed} outbox events`);
+    }
+
+    return relayed;
+  }
+
+  /**
+   * Claims the oldest due events by pushing their next_attempt_at past claimTimeout.
+   * The claim commits at once, and SKIP LOCKED lets concurrent relays claim disjoint
+   * batches instead of publishing the same events.
+   * @returns {Promise<Object[]>} - Claimed events in id order
+   */
+  async claimEvents() {
+    const now = new Date();
+    const claimedUntil = new Date(now.getTime() + this.claimTimeout);
+
+    const events = await customerDB.prisma.$queryRaw`
+      UPDATE outbox_events
+      SET next_attempt_at = ${claimedUntil}
+      WHERE id IN (
+        SELECT id FROM outbox_events
+        WHERE published = false
+          AND parked_at IS NULL
+          AND event_type = ANY(${outboxService.getRoutedEventTypes()})
+          AND (next_attempt_at IS NULL OR next_attempt_at <= ${now})
+        ORDER BY id
+        LIMIT ${this.batchSize}
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING id, tenant_id, event_type, entity_id, payload, attempts, created_at
+    `;
+
+    return events.sort((a, b) => a.id - b.id);
+  }
+
+  // Makes claimed events due again, without counting an attempt
+  async releaseEvents(events) {
+    await customerDB.prisma.outbox_events.updateMany({
+      where: { id: { in: events.map((event) => event.id) }, published: false },
+      data: { next_attempt_at: null },
+    });
+  }
+
+  /**
+   * Counts a failed publish. The event is retried after a growing delay, or parked
+   * once it has failed maxAttempts times so it stops taking up batches.
+   * @param {Object} event - Claimed outbox event
+   * @param {Error} error - Publish failure
+   * @returns {Promise<void>}
+   */
+  async recordFailure(event, error) {
+    const attempts = event.attempts + 1;
+    const parked = attempts >= this.maxAttempts;
+    const delay = Math.min(this.retryDelay * 2 ** (attempts - 1), this.maxRetryDelay);
+
+    await customerDB.prisma.outbox_events.updateMany({
+      where: { id: event.id },
+      data: {
+        attempts,
+        last_error: String(error.message).slice(0, 1000),
+        next_attempt_at: parked ? null : new Date(Date.now() + delay),
+        parked_at: parked ? new Date() : null,
+      },
+    });
+
+    if (parked) {
+      console.error(`Outbox event ${event.id} (${event.event_type}) parked after ${attempts} failed attempts`);
+    }
+  }
+
+  // Deletes published events and idempotency claims older than their retention periods,
+  // at most once per sweepInterval
+  async sweepIfDue() {
+    const now = Date.now();
+
+    if (now - this.lastSweepAt < this.sweepInterval) {
+      return;
+    }
+
+    this.lastSweepAt = now;
+
+    try {
+      const cutoff = new Date(now - this.retentionDays * 24 * 60 * 60 * 1000);
+      const deleted = await outboxService.deletePublishedBefore(cutoff);
+
+      if (deleted > 0) {
+        console.log(`Deleted ${deleted} outbox events published before ${cutoff.toISOString()}`);
+      }
+    } catch (error) {
+      console.error('Failed to delete old outbox events:', error.message);
+    }
+
+    try {
+      const cutoff = new Date(now - this.processedMessagesRetentionDays * 24 * 60 * 60 * 1000);
+      const deleted = await idempotencyService.deleteProcessedBefore(cutoff);
+
+      if (deleted > 0) {
+        console.log(`Deleted ${deleted} processed message claims from before ${cutoff.toISOString()}`);
+      }
+    } catch (error) {
+      console.error('Failed to delete old processed message claims:', error.message);
+    }
+  }
+
+  async publishEvent(event) {
+    const { exchange, routingKey } = outboxService.getRoute(event.event_type);
+
+    await rabbitMQ.publishMessage(
+      exchange,
+      routingKey,
+      {
+        eventType: event.event_type,
+        timestamp: event.created_at ? event.created_at.toISOString() : new Date().toISOString(),
+        source: 'outbox',
+        tenant_id: event.tenant_id,
+        outbox_id: event.id,
+        data: event.payload,
+      },
+      { messageId: `outbox-${event.id}` }
+    );
+  }
+
+  async stop() {
+    console.log('Stopping Outbox Relay...');
+    this.isRunning = false;
+  }
+}
+
+// Create and export singleton instance
+const outboxRelay = new OutboxRelay();
+
+// Start the relay if this file is run directly
+if (require.main === module) {
+  outboxRelay.start().catch((error) => {
+    console.error('Failed to start outbox relay:', error);
+    process.exit(1);
+  });
+
+  const shutdown = async (signal) => {
+    console.log(`Received ${signal}, shutting down...`);
+    await outboxRelay.stop();
+    await rabbitMQ.close();
+    process.exit(0);
+  };
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+}
+
+module.exports = outboxRelay;
@@ -0,0 +1,134 @@
+const { customerDB } = require('../../../shared/database');
+const customerStatsService = require('./customerStatsService');
+
+// Where the outbox relay publishes each event type. Rows with other event types are
+// never published, and are deleted by the retention sweep once they are old enough.
+const OUTBOX_ROUTES = {
+  customer_mv_upsert: { exchange: 'data_ingestion', routingKey: 'customer_mv' },
+  customer_erased: { exchange: 'data_ingestion', routingKey: 'customer_mv' },
+};
+
+class OutboxService {
+  /**
+   * Records an event in outbox_events for the outbox relay to publish.
+   * Pass the transaction client so the event commits or rolls back with the change itself.
+   * @param {string} tenantId - Tenant the event belongs to, published as the message's tenant_id
+   * @param {string} eventType - Event type, see OUTBOX_ROUTES
+   * @param {string} entityId - Id of the customer/order the event is about
+   * @param {Object} payload - Event data, published as the message's data
+   * @param {Object} client - Prisma client or transaction client
+   * @returns {Promise<Object>} - Created outbox_events row
+   */
+  async record(tenantId, eventType, entityId, payload, client = customerDB.prisma) {
+    return client.outbox_events.create({
+      data: {
+        tenant_id: tenantId,
+        event_type: eventType,
+        entity_id: entityId,
+        payload,
+        published: false,
+      },
+    });
+  }
+
+  /**
+   * Records a customer_mv_upsert event carrying the customer's current stats and
+   * version, which the CustomerMV consumer uses to discard out-of-order snapshots
+   * @param {Object} customer - customers row as written in the same transaction
+   * @param {string} operation - 'created', 'updated' or 'stats_updated'
+   * @param {Object} client - Prisma client or transaction client
+   * @returns {Promise<Object>} - Created outbox_events row
+   */
+  async recordCustomerMVUpsert(customer, operation, client = customerDB.prisma) {
+    const totalOrders = await customerStatsService.countCompletedOrders(customer.customer_id, client);
+
+    return this.record(
+      customer.tenant_id,
+      'customer_mv_upsert',
+      customer.customer_id,
+      {
+        customer_id: customer.customer_id,
+        name: customer.name,
+        email: customer.email,
+        total_spend: parseFloat(customer.total_spend || 0),
+        total_visits: customer.total_visits || 0,
+        total_orders: totalOrders,
+        last_order_at: customer.last_order_at ? new Date(customer.last_order_at).toISOString() : null,
+        status: customer.status || 'ACTIVE',
+        version: customer.version,
+        operation,
+      },
+      client
+    );
+  }
+
+  /**
+   * Deletes every outbox event recorded for an entity, published or not. Used by
+   * the GDPR erase so customer_mv_upsert payloads do not keep the customer's PII.
+   * @param {string} tenantId - Tenant the entity belongs to
+   * @param {string} entityId - Customer/order id
+   * @param {Object} client - Prisma client or transaction client
+   * @returns {Promise<number>} - Number of events deleted
+   */
+  async deleteEntityEvents(tenantId, entityId, client = customerDB.prisma) {
+    const deleted = await client.outbox_events.deleteMany({
+      where: { tenant_id: tenantId, entity_id: entityId },
+    });
+
+    return deleted.count;
+  }
+
+  /**
+   * Deletes events published before the cutoff, and events without a route created
+   * before it, in batches so a large backlog does not hold one long delete. Other
+   * unpublished events, parked ones included, are never deleted.
+   * @param {Date} cutoff - Events published before this time are deleted
+   * @param {number} batchSize - Rows deleted per statement
+   * @returns {Promise<number>} - Number of events deleted
+   */
+  async deletePublishedBefore(cutoff, batchSize = 1000) {
+    let deleted = 0;
+
+    while (true) {
+      const events = await customerDB.prisma.outbox_events.findMany({
+        where: {
+          OR: [
+            { published: true, published_at: { lt: cutoff } },
+            { event_type: { notIn: this.getRoutedEventTypes() }, created_at: { lt: cutoff } },
+          ],
+        },
+        orderBy: { id: 'asc' },
+        take: batchSize,
+        select: { id: true },
+      });
+
+      if (events.length === 0) {
+        break;
+      }
+
+      const result = await customerDB.prisma.outbox_events.deleteMany({
+        where: { id: { in: events.map((event) => event.id) } },
+      });
+      deleted += result.count;
+
+      if (events.length < batchSize) {
+        break;
+      }
+    }
+
+    return deleted;
+  }
+
+  getRoute(eventType) {
+    return OUTBOX_ROUTES[eventType] || null;
+  }
+
+  getRoutedEventTypes() {
+    return Object.keys(OUTBOX_ROUTES);
+  }
+}
+
+// Create and export singleton instance
+const outboxService = new OutboxService();
+
+module.exports = outboxService;
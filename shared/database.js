@@ -18,6 +18,11 @@ module.exports = {
     customers: customerPrisma.customers,
     orders: customerPrisma.orders,
     outboxEvents: customerPrisma.outbox_events,
+    auditLog: customerPrisma.audit_log,
+    ingestionJobs: customerPrisma.ingestion_jobs,
+    ingestionJobFailures: customerPrisma.ingestion_job_failures,
+    processedMessages: customerPrisma.processed_messages,
+    apiKeys: customerPrisma.api_keys,
   },
 
   campaignDB: {
@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+const { ServiceError } = require('../utils/errors');
+
+const ROLES = {
+  INGEST_WRITE: 'ingest:write',
+  CAMPAIGN_MANAGE: 'campaign:manage',
+  ANALYTICS_READ: 'analytics:read',
+  API_KEYS_MANAGE: 'apikeys:manage',
+  DEAD_LETTERS_ADMIN: 'deadletters:admin',
+};
+
+class JwtVerifier {
+  constructor() {
+    this.jwksCacheTtl = 10 * 60 * 1000; // Refetch signing keys every 10 minutes
+    this.jwksRefetchInterval = 30 * 1000; // Minimum gap between refetches for an unknown kid
+    this.jwksKeys = new Map();
+    this.jwksFetchedAt = 0;
+    this.publicKey = null;
+  }
+
+  // Read on every call: the services load dotenv after requiring their routes
+  getConfig() {
+    return {
+      secret: process.env.JWT_SECRET,
+      jwksUrl: process.env.JWT_JWKS_URL,
+      publicKeyFile: process.env.JWT_PUBLIC_KEY_FILE,
+      issuer: process.env.JWT_ISSUER || undefined,
+      audience: process.env.JWT_AUDIENCE || undefined,
+    };
+  }
+
+  /**
+   * Verifies a bearer token. HS256 tokens are checked against JWT_SECRET; RS256
+   * tokens against the JWKS at JWT_JWKS_URL or, for local testing, the PEM public
+   * key in JWT_PUBLIC_KEY_FILE.
+   * @param {string} token - Encoded JWT
+   * @returns {Promise<Object>} - Verified claims
+   */
+  async verify(token) {
+    const decoded = jwt.decode(token, { complete: true });
+
+    if (!decoded || typeof decoded.payload !== 'object') {
+      throw new ServiceError('Invalid token', 401);
+    }
+
+    const config = this.getConfig();
+    const { alg, kid } = decoded.header;
+    const key = await this.getVerificationKey(alg, kid, config);
+
+    try {
+      return jwt.verify(token, key, {
+        algorithms: [alg],
+        issuer: config.issuer,
+        audience: config.audience,
+      });
+    } catch (error) {
+      throw new ServiceError(
+        error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token',
+        401
+      );
+    }
+  }
+
+  async getVerificationKey(alg, kid, config) {
+    if (alg === 'HS256' && config.secret) {
+      return config.secret;
+    }
+
+    if (alg === 'RS256' && config.jwksUrl) {
+      return this.getJwksKey(kid, config.jwksUrl);
+    }
+
+    if (alg === 'RS256' && config.publicKeyFile) {
+      if (!this.publicKey) {
+        this.publicKey = crypto.createPublicKey(fs.readFileSync(config.publicKeyFile));
+      }
+      return this.publicKey;
+    }
+
+    throw new ServiceError(`Tokens signed with ${alg} are not accepted`, 401);
+  }
+
+  async getJwksKey(kid, jwksUrl) {
+    const now = Date.now();
+    const stale = now - this.jwksFetchedAt > this.jwksCacheTtl;
+    const unknownKid = !this.jwksKeys.has(kid) && now - this.jwksFetchedAt > this.jwksRefetchInterval;
+
+    // Unknown kids trigger a refetch so rotated keys are picked up before the cache expires
+    if (stale || unknownKid) {
+      await this.fetchJwks(jwksUrl);
+    }
+
+    const key = this.jwksKeys.get(kid);
+
+    if (!key) {
+      throw new ServiceError('Token signing key not found', 401);
+    }
+
+    return key;
+  }
+
+  async fetchJwks(jwksUrl) {
+    const response = await fetch(jwksUrl, { signal: AbortSignal.timeout(5000) });
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch JWKS from ${jwksUrl}: HTTP ${response.status}`);
+    }
+
+    const { keys = [] } = await response.json();
+    const signingKeys = new Map();
+
+    keys
+      .filter((jwk) => jwk.kty === 'RSA' && (!jwk.use || jwk.use === 'sig'))
+      .forEach((jwk) => {
+        signingKeys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+      });
+
+    this.jwksKeys = signingKeys;
+    this.jwksFetchedAt = Date.now();
+    console.log(`Loaded ${signingKeys.size} JWKS signing keys from ${jwksUrl}`);
+  }
+}
+
+const verifier = new JwtVerifier();
+
+// Workspace a token acts in: its `tenant_id` claim, or DEFAULT_TENANT_ID for
+// deployments whose identity provider does not issue one
+const getTenantClaim = (claims) => {
+  const tenantId = claims.tenant_id || process.env.DEFAULT_TENANT_ID;
+  return typeof tenantId === 'string' && tenantId.length <= 64 ? tenantId : null;
+};
+
+// Roles come from a `roles` array claim or an OAuth-style space-separated `scope`
+const getRoles = (claims) => {
+  const roles = Array.isArray(claims.roles) ? claims.roles : [];
+  const scopes = typeof claims.scope === 'string' ? claims.scope.split(' ') : [];
+  return [...new Set([...roles, ...scopes].filter(Boolean))];
+};
+
+const sendAuthError = (res, error) =>
+  res.status(error.statusCode).json({
+    success: false,
+    message: error.message,
+  });
+
+/**
+ * Verifies the Authorization: Bearer token and sets req.user to
+ * { id, email, name, roles, tenantId }. Tokens without a tenant are rejected.
+ */
+const authenticate = async (req, res, next) => {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return sendAuthError(res, new ServiceError('Authentication required', 401));
+  }
+
+  try {
+    const claims = await verifier.verify(token);
+    const tenantId = getTenantClaim(claims);
+
+    if (!tenantId) {
+      return sendAuthError(res, new ServiceError('Token is not scoped to a tenant', 403));
+    }
+
+    req.user = {
+      id: claims.sub || null,
+      email: claims.email || null,
+      name: claims.name || null,
+      roles: getRoles(claims),
+      tenantId,
+    };
+
+    next();
+  } catch (error) {
+    if (error.statusCode) {
+      return sendAuthError(res, error);
+    }
+
+    console.error('Error verifying token:', error);
+
+    res.status(503).json({
+      success: false,
+      message: 'Service temporarily unavailable - unable to verify token',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Builds middleware that authenticates with an X-API-Key header when one is
+ * sent, and with a bearer token otherwise
+ * @param {Function} verifyApiKey - Resolves a plaintext key to req.user, or null if invalid
+ * @returns {Function} - Express middleware
+ */
+const authenticateWithApiKey = (verifyApiKey) => async (req, res, next) => {
+  const apiKey = req.get('X-API-Key');
+
+  if (!apiKey) {
+    return authenticate(req, res, next);
+  }
+
+  try {
+    const user = await verifyApiKey(apiKey);
+
+    if (!user) {
+      return sendAuthError(res, new ServiceError('Invalid API key', 401));
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Error verifying API key:', error);
+
+    res.status(503).json({
+      success: false,
+      message: 'Service temporarily unavailable - unable to verify API key',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+// Allows the request if the authenticated user has any of the given roles
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.some((role) => req.user.roles.includes(role))) {
+    return sendAuthError(
+      res,
+      new ServiceError(`Forbidden: requires role ${roles.join(' or ')}`, 403)
+    );
+  }
+
+  next();
+};
+
+// Route middleware that authenticates the request and checks its roles
+const authorize = (...roles) => [authenticate, requireRole(...roles)];
+
+// Same as authorize, but also accepts API keys
+const authorizeWithApiKey = (verifyApiKey, ...roles) => [
+  authenticateWithApiKey(verifyApiKey),
+  requireRole(...roles),
+];
+
+// Identifies the authenticated user in audit entries and created_by columns
+const getUserIdentity = (req) => (req.user && (req.user.email || req.user.id)) || 'unknown';
+
+// Tenant every query and published event of the request is scoped to
+const getTenantId = (req) => req.user.tenantId;
+
+// CORS options allowing only the comma-separated origins in CORS_ORIGINS
+const corsOptions = () => {
+  const origins = (process.env.CORS_ORIGINS || '')
+    .split(',')
+    .map((origin) => origin.trim())
+    .filter(Boolean);
+
+  return {
+    origin: origins.length > 0 ? origins : false,
+    allowedHeaders: ['Authorization', 'Content-Type', 'Idempotency-Key', 'X-API-Key'],
+  };
+};
+
+module.exports = {
+  ROLES,
+  authenticate,
+  requireRole,
+  authorize,
+  authenticateWithApiKey,
+  authorizeWithApiKey,
+  getUserIdentity,
+  getTenantId,
+  corsOptions,
+};
@@ -0,0 +1,25 @@
+// Types for campaignRules.js, imported by the MCP server
+
+export type TemplateFieldType = 'string' | 'number' | 'money' | 'date';
+
+export interface TemplatePlaceholder {
+  raw: string;
+  valid: boolean;
+  field?: string;
+  format?: string | null;
+  fallback?: string | null;
+}
+
+export declare const CAMPAIGN_STATUSES: Record<
+  'DRAFT' | 'SCHEDULED' | 'LAUNCHING' | 'RUNNING' | 'PAUSED' | 'COMPLETED' | 'CANCELLED',
+  string
+>;
+export declare const CAMPAIGN_TRANSITIONS: Record<string, string[]>;
+export declare const TEMPLATE_FIELDS: Record<string, TemplateFieldType>;
+export declare const TEMPLATE_FORMATS: Record<string, TemplateFieldType[]>;
+export declare const PLACEHOLDER_PATTERN: RegExp;
+export declare const BRACES_PATTERN: RegExp;
+
+export declare function normalizeCampaignStatus(status: string | null): string;
+export declare function parsePlaceholders(template: string): TemplatePlaceholder[];
+export declare function validateMessageTemplate(template: string): string[];
@@ -0,0 +1,142 @@
+// Campaign lifecycle and message template rules shared by the Campaign service and
+// the MCP server, so both enforce the same transitions and accept the same templates
+
+const CAMPAIGN_STATUSES = {
+  DRAFT: 'DRAFT',
+  SCHEDULED: 'SCHEDULED',
+  LAUNCHING: 'LAUNCHING',
+  RUNNING: 'RUNNING',
+  PAUSED: 'PAUSED',
+  COMPLETED: 'COMPLETED',
+  CANCELLED: 'CANCELLED',
+};
+
+// Allowed status transitions. SCHEDULED → SCHEDULED is a reschedule. LAUNCHING lasts
+// while the audience is inserted and only ends by the launch finishing.
+const CAMPAIGN_TRANSITIONS = {
+  DRAFT: ['SCHEDULED', 'LAUNCHING', 'CANCELLED'],
+  SCHEDULED: ['DRAFT', 'SCHEDULED', 'LAUNCHING', 'CANCELLED'],
+  LAUNCHING: ['RUNNING', 'COMPLETED'],
+  RUNNING: ['PAUSED', 'COMPLETED', 'CANCELLED'],
+  PAUSED: ['RUNNING', 'CANCELLED'],
+  COMPLETED: [],
+  CANCELLED: [],
+};
+
+// Statuses written before the lifecycle existed; none of them had been launched
+const LEGACY_CAMPAIGN_STATUSES = {
+  ACTIVE: 'DRAFT',
+  INACTIVE: 'DRAFT',
+};
+
+// customers_mv fields available to message templates, keyed to their value type
+const TEMPLATE_FIELDS = {
+  customer_id: 'string',
+  name: 'string',
+  email: 'string',
+  status: 'string',
+  total_spend: 'money',
+  total_visits: 'number',
+  total_orders: 'number',
+  days_since_last_order: 'number',
+  last_order_at: 'date',
+};
+
+// Formats a placeholder may request, and the field types each applies to
+const TEMPLATE_FORMATS = {
+  currency: ['money', 'number'],
+  number: ['money', 'number'],
+  date: ['date'],
+};
+
+// {field}, {field|default}, {field:format} or {field:format|default}
+const PLACEHOLDER_PATTERN = /^\{\s*([a-zA-Z_]+)\s*(?::\s*([a-zA-Z]+)\s*)?(?:\|([^{}]*))?\}$/;
+const BRACES_PATTERN = /\{[^{}]*\}/g;
+
+/**
+ * Maps a stored campaigns.status value onto a lifecycle status
+ * @param {string|null} status - Raw status
+ * @returns {string} - Lifecycle status
+ */
+const normalizeCampaignStatus = (status) => {
+  const upper = String(status || CAMPAIGN_STATUSES.DRAFT).toUpperCase();
+  return LEGACY_CAMPAIGN_STATUSES[upper] || upper;
+};
+
+/**
+ * Lists the placeholders in a template
+ * @param {string} template - Message template
+ * @returns {Array<Object>} - Parsed placeholders ({ raw, field, format, fallback, valid })
+ */
+const parsePlaceholders = (template) => {
+  const matches = template.match(BRACES_PATTERN) || [];
+
+  return matches.map((raw) => {
+    const parsed = raw.match(PLACEHOLDER_PATTERN);
+    if (!parsed) {
+      return { raw, valid: false };
+    }
+
+    const [, field, format, fallback] = parsed;
+    return {
+      raw,
+      valid: true,
+      field,
+      format: format ? format.toLowerCase() : null,
+      fallback: fallback === undefined ? null : fallback,
+    };
+  });
+};
+
+/**
+ * Validates a template against the customers_mv fields and supported formats
+ * @param {string} template - Message template
+ * @returns {Array<string>} - Error messages, empty when valid
+ */
+const validateMessageTemplate = (template) => {
+  if (typeof template !== 'string' || template.trim().length === 0) {
+    return ['Message template is required'];
+  }
+
+  const errors = [];
+
+  parsePlaceholders(template).forEach((placeholder) => {
+    if (!placeholder.valid) {
+      errors.push(`Malformed placeholder ${placeholder.raw}. Use {field}, {field|default} or {field:format}`);
+      return;
+    }
+
+    const fieldType = TEMPLATE_FIELDS[placeholder.field];
+    if (!fieldType) {
+      errors.push(
+        `Unknown placeholder field "${placeholder.field}". Allowed fields: ${Object.keys(TEMPLATE_FIELDS).join(', ')}`
+      );
+      return;
+    }
+
+    if (placeholder.format) {
+      const allowedTypes = TEMPLATE_FORMATS[placeholder.format];
+      if (!allowedTypes) {
+        errors.push(
+          `Unknown format "${placeholder.format}" in ${placeholder.raw}. Allowed formats: ${Object.keys(TEMPLATE_FORMATS).join(', ')}`
+        );
+      } else if (!allowedTypes.includes(fieldType)) {
+        errors.push(`Format "${placeholder.format}" cannot be applied to ${placeholder.field}`);
+      }
+    }
+  });
+
+  return errors;
+};
+
+module.exports = {
+  CAMPAIGN_STATUSES,
+  CAMPAIGN_TRANSITIONS,
+  TEMPLATE_FIELDS,
+  TEMPLATE_FORMATS,
+  PLACEHOLDER_PATTERN,
+  BRACES_PATTERN,
+  normalizeCampaignStatus,
+  parsePlaceholders,
+  validateMessageTemplate,
+};
@@ -0,0 +1,75 @@
+// Error raised by service-layer code for conditions the caller can act on
+// (missing records, invalid state). Controllers map statusCode onto the HTTP response.
+class ServiceError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ServiceError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Error raised by consumers for messages that will fail the same way on every
+// attempt (malformed payloads, failed validation), so they skip retries.
+class NonRetryableError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'NonRetryableError';
+  }
+}
+
+// Prisma error codes caused by the database being unreachable or contended rather than by the data
+const RETRYABLE_PRISMA_CODES = [
+  'P1001', // Can't reach database server
+  'P1002', // Database server timed out
+  'P1008', // Operations timed out
+  'P1017', // Server closed the connection
+  'P2024', // Timed out fetching a connection from the pool
+  'P2034', // Transaction write conflict or deadlock
+];
+
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'];
+
+/**
+ * Decides whether a failed message is worth retrying. Consumers often wrap
+ * errors, so the `cause` chain is checked for anything conclusive.
+ * @param {Error} error - Error thrown while processing a message
+ * @returns {boolean} - false for NonRetryableError, 4xx ServiceError, malformed JSON and data errors from Prisma
+ */
+const isRetryableError = (error) => {
+  for (let current = error; current; current = current.cause) {
+    if (current instanceof NonRetryableError || current instanceof SyntaxError) {
+      return false;
+    }
+
+    // Missing records and disallowed state changes will not resolve themselves
+    if (current instanceof ServiceError && current.statusCode < 500) {
+      return false;
+    }
+
+    if (current.name === 'PrismaClientInitializationError' || current.name === 'PrismaClientRustPanicError') {
+      return true;
+    }
+
+    if (current.name === 'PrismaClientValidationError') {
+      return false;
+    }
+
+    if (typeof current.code === 'string') {
+      if (RETRYABLE_PRISMA_CODES.includes(current.code) || RETRYABLE_NETWORK_CODES.includes(current.code)) {
+        return true;
+      }
+      // Any other Prisma code (P2002 unique violation, P2003 foreign key, ...) fails the same way again
+      if (/^P\d{4}$/.test(current.code)) {
+        return false;
+      }
+    }
+  }
+
+  return true;
+};
+
+module.exports = {
+  ServiceError,
+  NonRetryableError,
+  isRetryableError,
+};
@@ -0,0 +1,25 @@
+// Same formatting as formatCurrency/formatDate in mcp/src/schemas.ts so customer-facing
+// messages match what the MCP server shows.
+
+const formatCurrency = (amount) => {
+  return new Intl.NumberFormat('en-IN', {
+    style: 'currency',
+    currency: 'INR',
+  }).format(amount);
+};
+
+const formatDate = (date) => {
+  if (!date) return 'Never';
+  return new Intl.DateTimeFormat('en-IN', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  }).format(new Date(date));
+};
+
+module.exports = {
+  formatCurrency,
+  formatDate,
+};
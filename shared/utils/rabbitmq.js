@@ -1,4 +1,10 @@
+const crypto = require('crypto');
 const ampq = require('amqplib');
+const { isRetryableError } = require('./errors');
+
+// Set on every publish, so a returned message is matched to the publish it came
+// from even when callers reuse a messageId (e.g. a client Idempotency-Key)
+const PUBLISH_ID_HEADER = 'x-publish-id';
 
 class RabbitMQ {
   constructor() {
@@ -6,6 +12,12 @@ class RabbitMQ {
     this.channel = null;
     this.isConnected = false;
     this.isConnecting = false;
+    this.deadLetterExchange = 'data_ingestion.dlx';
+    this.deadLetterQueues = {}; // source queue -> parking-lot queue
+    this.confirmTimeout = 10000; // How long to wait for the broker to confirm a publish
+    this.pendingReturns = new Map(); // x-publish-id -> settle callback for mandatory publishes
+    this.drainPromise = null;
+    this.releaseDrain = null;
   }
 
   async ensureConnection() {
@@ -35,7 +47,10 @@ class RabbitMQ {
       console.log(`Connecting to RabbitMQ`);
 
       this.connection = await ampq.connect(rabbitmqURL);
-      this.channel = await this.connection.createChannel();
+      // Confirm channel so every publish is acknowledged by the broker
+      this.channel = await this.connection.createConfirmChannel();
+      this.channel.on('return', (msg) => this.handleReturnedMessage(msg));
+      this.channel.on('close', () => this.releaseDrainWaiters());
       this.isConnected = true;
       this.isConnecting = false;
 
@@ -76,12 +91,7 @@ class RabbitMQ {
         durable: true,
       });
       const customerQueue = 'customer_ingestion_queue';
-      await this.channel.assertQueue(customerQueue, {
-        durable: true,
-        arguments: {
-          'x-message-ttl': 86400000,
-        },
-      });
+      await this.assertSourceQueue(customerQueue);
 
       await this.channel.bindQueue(
         customerQueue,
@@ -90,22 +100,12 @@ class RabbitMQ {
       );
 
       const ordersQueue = 'order_ingestion_queue';
-      await this.channel.assertQueue(ordersQueue, {
-        durable: true,
-        arguments: {
-          'x-message-ttl': 86400000,
-        },
-      });
+      await this.assertSourceQueue(ordersQueue);
 
       await this.channel.bindQueue(ordersQueue, ingestionExchange, 'order');
 
       const customerMVQueue = 'customer_mv_queue';
-      await this.channel.assertQueue(customerMVQueue, {
-        durable: true,
-        arguments: {
-          'x-message-ttl': 86400000,
-        },
-      });
+      await this.assertSourceQueue(customerMVQueue);
 
       await this.channel.bindQueue(
         customerMVQueue,
@@ -113,6 +113,12 @@ class RabbitMQ {
         'customer_mv'
       );
 
+      await this.setupDeadLetterQueues([
+        customerQueue,
+        ordersQueue,
+        customerMVQueue,
+      ]);
+
       console.log('Ingestion Infra setup complete');
       console.log('Exchange: Data_ingestions');
       console.log(
@@ -124,12 +130,70 @@ class RabbitMQ {
       console.log(
         '- CustomerMV Queue: customer_mv_queue (routing key: customer_mv)'
       );
+      console.log(
+        `Dead-letter Exchange: ${this.deadLetterExchange} (<queue>.dlq, routing key: <queue>)`
+      );
     } catch (error) {
       console.error('Failed to setup Ingestion Infra:', error);
       throw error;
     }
   }
 
+  /**
+   * Declares an ingestion queue whose messages expire after 24h into its
+   * dead-letter queue. Queue arguments cannot change once a queue exists, so a
+   * queue declared before dead-lettering keeps its old arguments: the mismatch is
+   * logged and the queue is used as is. Such queues need the dead-letter policy
+   * from the README, or to be deleted while empty so they are redeclared.
+   * The declaration runs on its own channel because a mismatch closes the channel.
+   * @param {string} queue - Queue name, also the DLX routing key
+   * @returns {Promise<void>}
+   */
+  async assertSourceQueue(queue) {
+    const channel = await this.connection.createChannel();
+    channel.on('error', () => {}); // The mismatch is handled below
+
+    try {
+      await channel.assertQueue(queue, {
+        durable: true,
+        arguments: {
+          'x-message-ttl': 86400000,
+          'x-dead-letter-exchange': this.deadLetterExchange,
+          'x-dead-letter-routing-key': queue,
+        },
+      });
+      await channel.close();
+    } catch (error) {
+      if (error.code !== 406) {
+        throw error;
+      }
+
+      console.warn(
+        `Queue ${queue} was declared without dead-lettering (${error.message}). ` +
+          'Unless the dead-letter policy is applied, expired messages are dropped.'
+      );
+      await this.channel.checkQueue(queue);
+    }
+  }
+
+  // Failed messages are parked in <queue>.dlq, bound to the DLX by source queue name
+  async setupDeadLetterQueues(queues) {
+    await this.channel.assertExchange(this.deadLetterExchange, 'direct', {
+      durable: true,
+    });
+
+    for (const queue of queues) {
+      const deadLetterQueue = `${queue}.dlq`;
+      await this.channel.assertQueue(deadLetterQueue, { durable: true });
+      await this.channel.bindQueue(
+        deadLetterQueue,
+        this.deadLetterExchange,
+        queue
+      );
+      this.deadLetterQueues[queue] = deadLetterQueue;
+    }
+  }
+
   async setupMessagingQueues() {
     try {
       if (!this.channel) return;
@@ -166,29 +230,155 @@ class RabbitMQ {
     }
   }
 
+  /**
+   * Publishes a JSON message and waits for the broker to confirm it. Messages are
+   * mandatory by default, so one that matches no queue is returned by the broker
+   * and rejected here instead of being silently dropped.
+   * @param {string} exchange - Exchange to publish to
+   * @param {string} routingKey - Routing key
+   * @param {Object} message - Message body, serialized as JSON
+   * @param {Object} options - amqplib publish options
+   * @returns {Promise<boolean>} - true once confirmed; rejects on nack, return or timeout
+   */
   async publishMessage(exchange, routingKey, message, options = {}) {
     if (!this.isConnected) throw new Error('RabbitMQ not connected');
 
-    try {
-      const messageBuffer = Buffer.from(JSON.stringify(message));
-      const publishOptions = {
-        persistent: true,
-        timestamp: Date.now(),
-        messageId: `${Date.now()}-${Math.random()}`,
-        ...options,
-      };
+    const messageBuffer = Buffer.from(JSON.stringify(message));
+    const publishOptions = {
+      persistent: true,
+      timestamp: Date.now(),
+      messageId: crypto.randomUUID(),
+      mandatory: true,
+      ...options,
+    };
 
-      return this.channel.publish(
+    try {
+      await this.publishWithConfirm(
         exchange,
         routingKey,
         messageBuffer,
         publishOptions
       );
+      return true;
     } catch (error) {
       console.error('Failed to publish the message:', error);
+      throw error;
+    }
+  }
+
+  async publishWithConfirm(exchange, routingKey, content, options) {
+    // Respect backpressure: hold new publishes until the write buffer drains
+    if (this.drainPromise) {
+      await this.drainPromise;
+    }
+
+    const { messageId } = options;
+    const publishId = crypto.randomUUID();
+    const publishOptions = {
+      ...options,
+      headers: { ...(options.headers || {}), [PUBLISH_ID_HEADER]: publishId },
+    };
+    let written = true;
+
+    const confirmed = new Promise((resolve, reject) => {
+      let settled = false;
+
+      const settle = (error) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        this.pendingReturns.delete(publishId);
+
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      };
+
+      const timer = setTimeout(() => {
+        settle(
+          new Error(
+            `Broker did not confirm message ${messageId} within ${this.confirmTimeout}ms`
+          )
+        );
+      }, this.confirmTimeout);
+
+      // The broker sends basic.return before the ack for an unroutable mandatory message
+      if (options.mandatory) {
+        this.pendingReturns.set(publishId, settle);
+      }
+
+      written = this.channel.publish(
+        exchange,
+        routingKey,
+        content,
+        publishOptions,
+        (error) => {
+          settle(
+            error
+              ? new Error(`Broker rejected message ${messageId} on ${exchange}/${routingKey}`)
+              : null
+          );
+        }
+      );
+    });
+
+    if (!written) {
+      this.waitForDrain();
+    }
+
+    return confirmed;
+  }
+
+  handleReturnedMessage(msg) {
+    const { exchange, routingKey } = msg.fields;
+    const settle = this.pendingReturns.get((msg.properties.headers || {})[PUBLISH_ID_HEADER]);
+
+    console.error(
+      `Message ${msg.properties.messageId} returned as unroutable: ${exchange}/${routingKey} (${msg.fields.replyText})`
+    );
+
+    if (settle) {
+      settle(
+        new Error(
+          `Message ${msg.properties.messageId} is unroutable: no queue bound to ${exchange} with routing key ${routingKey}`
+        )
+      );
     }
   }
 
+  waitForDrain() {
+    if (!this.drainPromise) {
+      console.warn('RabbitMQ write buffer full, waiting for drain');
+      this.drainPromise = new Promise((resolve) => {
+        this.releaseDrain = resolve;
+        this.channel.once('drain', () => this.releaseDrainWaiters());
+      });
+    }
+
+    return this.drainPromise;
+  }
+
+  // Publishes waiting on a closed channel are released and fail on their own confirm
+  releaseDrainWaiters() {
+    if (this.releaseDrain) {
+      this.releaseDrain();
+    }
+    this.drainPromise = null;
+    this.releaseDrain = null;
+  }
+
+  /**
+   * Consumes JSON messages from a queue, acking on success. Failures are retried
+   * through per-attempt delay queues while the error is retryable and attempts
+   * remain; after that the message is dead-lettered (or dropped when the queue has
+   * no dead-letter queue).
+   * @param {string} queue - Queue to consume
+   * @param {Function} callback - async (content, msg) handler
+   * @param {Object} options - { noAck, prefetch, maxAttempts, retryDelay, onFinalFailure }
+   * @returns {Promise<Object>} - amqplib consume reply
+   */
   async consumeMessages(queue, callback, options = {}) {
     if (!this.isConnected) {
       throw new Error('RabbitMQ is not Connected');
@@ -197,23 +387,31 @@ class RabbitMQ {
       const consumeOptions = {
         noAck: false,
         prefetch: 1,
+        maxAttempts: 1, // 1 disables retries
+        retryDelay: 5000, // Delay before the first retry, doubled for each later attempt
+        onFinalFailure: null, // async (content, msg, error) called once a message will not be retried
         ...options,
       };
 
+      if (consumeOptions.maxAttempts > 1) {
+        await this.setupRetryQueues(queue, consumeOptions);
+      }
+
       await this.channel.prefetch(consumeOptions.prefetch);
       return this.channel.consume(
         queue,
         async (msg) => {
           if (msg) {
+            let content;
             try {
-              const content = JSON.parse(msg.content.toString());
+              content = JSON.parse(msg.content.toString());
               await callback(content, msg);
 
               this.channel.ack(msg);
             } catch (error) {
               console.error('Error processing the message:', error);
 
-              this.channel.nack(msg, false, false);
+              await this.handleFailedMessage(queue, msg, content, error, consumeOptions);
             }
           }
         },
@@ -224,6 +422,167 @@ class RabbitMQ {
       throw error;
     }
   }
+
+  // <queue>.retry.<n> holds a message for its delay, then dead-letters it back to <queue>
+  // through the default exchange. Queue arguments are fixed once declared, so changing
+  // retryDelay requires deleting the existing retry queues.
+  async setupRetryQueues(queue, { maxAttempts, retryDelay }) {
+    for (let attempt = 1; attempt < maxAttempts; attempt++) {
+      await this.channel.assertQueue(this.getRetryQueue(queue, attempt), {
+        durable: true,
+        arguments: {
+          'x-message-ttl': this.getRetryDelay(attempt, retryDelay),
+          'x-dead-letter-exchange': '',
+          'x-dead-letter-routing-key': queue,
+        },
+      });
+    }
+
+    console.log(
+      `Retry queues for ${queue}: ${maxAttempts - 1} attempts, first delay ${retryDelay}ms`
+    );
+  }
+
+  getRetryQueue(queue, attempt) {
+    return `${queue}.retry.${attempt}`;
+  }
+
+  getRetryDelay(attempt, retryDelay) {
+    return retryDelay * 2 ** (attempt - 1);
+  }
+
+  getOriginalExchange(msg) {
+    const headers = msg.properties.headers || {};
+    return headers['x-original-exchange'] ?? msg.fields.exchange;
+  }
+
+  getOriginalRoutingKey(msg) {
+    const headers = msg.properties.headers || {};
+    return headers['x-original-routing-key'] ?? msg.fields.routingKey;
+  }
+
+  getAttempt(msg) {
+    const headers = msg.properties.headers || {};
+    return Number(headers['x-attempt']) || 1;
+  }
+
+  async handleFailedMessage(queue, msg, content, error, options) {
+    const attempt = this.getAttempt(msg);
+
+    if (attempt < options.maxAttempts && isRetryableError(error)) {
+      await this.retryMessage(queue, msg, error, attempt);
+      return;
+    }
+
+    // A message that could not be parked is requeued, so the final failure is
+    // only recorded once it has been
+    const parked = this.deadLetterQueues[queue]
+      ? await this.deadLetterMessage(queue, msg, error)
+      : true;
+
+    if (!parked) {
+      return;
+    }
+
+    if (options.onFinalFailure) {
+      try {
+        await options.onFinalFailure(content, msg, error);
+      } catch (hookError) {
+        console.error('Error in final failure handler:', hookError);
+      }
+    }
+
+    if (!this.deadLetterQueues[queue]) {
+      this.channel.nack(msg, false, false);
+    }
+  }
+
+  async retryMessage(queue, msg, error, attempt) {
+    try {
+      const retryQueue = this.getRetryQueue(queue, attempt);
+
+      // Publish straight to the retry queue through the default exchange, acking the
+      // original only once the broker has confirmed the copy
+      await this.publishWithConfirm('', retryQueue, msg.content, {
+        ...msg.properties,
+        persistent: true,
+        mandatory: true,
+        headers: {
+          ...(msg.properties.headers || {}),
+          // Retried messages return through the default exchange, so remember where they came from
+          'x-original-exchange': this.getOriginalExchange(msg),
+          'x-original-routing-key': this.getOriginalRoutingKey(msg),
+          'x-attempt': attempt + 1,
+          'x-last-error': String(error.message).slice(0, 1000),
+        },
+      });
+
+      this.channel.ack(msg);
+      console.log(
+        `Message ${msg.properties.messageId} from ${queue} scheduled for attempt ${attempt + 1} via ${retryQueue}`
+      );
+    } catch (retryError) {
+      console.error('Failed to schedule message retry:', retryError);
+      this.channel.nack(msg, false, true);
+    }
+  }
+
+  /**
+   * Parks a failed message in the queue's dead-letter queue. The message is
+   * republished with the failure recorded in headers rather than nacked, so the
+   * error survives for inspection and replay.
+   * @param {string} queue - Queue the message was consumed from
+   * @param {Object} msg - Failed amqplib message
+   * @param {Error} error - Error thrown by the consumer
+   * @returns {Promise<boolean>} - false if the publish failed and the message was requeued
+   */
+  async deadLetterMessage(queue, msg, error) {
+    try {
+      const { properties } = msg;
+
+      await this.publishWithConfirm(
+        this.deadLetterExchange,
+        queue,
+        msg.content,
+        {
+          ...properties,
+          persistent: true,
+          mandatory: true,
+          headers: {
+            ...(properties.headers || {}),
+            'x-original-exchange': this.getOriginalExchange(msg),
+            'x-original-routing-key': this.getOriginalRoutingKey(msg),
+            'x-original-queue': queue,
+            'x-error-name': error.name,
+            'x-error-message': String(error.message).slice(0, 1000),
+            'x-failed-at': new Date().toISOString(),
+          },
+        }
+      );
+
+      this.channel.ack(msg);
+      console.log(
+        `Message ${properties.messageId} from ${queue} dead-lettered to ${this.deadLetterQueues[queue]}`
+      );
+      return true;
+    } catch (deadLetterError) {
+      // Requeued rather than dropped, so the message is retried once the DLX is reachable
+      console.error('Failed to dead-letter the message, requeueing it:', deadLetterError);
+      this.channel.nack(msg, false, true);
+      return false;
+    }
+  }
+
+  getDeadLetterQueue(queue) {
+    return this.deadLetterQueues[queue] || null;
+  }
+
+  // Separate confirm channel for work that holds unacked messages outside the consumers
+  async createConfirmChannel() {
+    if (!this.isConnected) throw new Error('RabbitMQ not connected');
+    return this.connection.createConfirmChannel();
+  }
+
   async close() {
     try {
       if (this.channel) {
@@ -0,0 +1,138 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubDatabase } = require('./helpers/stubDatabase');
+
+const { campaignDB } = stubDatabase();
+const campaignLaunchService = require('../services/Campaign/services/campaignLaunchService');
+
+const customerIds = ['c1', 'c2', 'c3', 'c4', 'c5'];
+
+describe('campaignLaunchService.launchCampaign', () => {
+  let campaign;
+  let customers;
+  let messages;
+
+  beforeEach(() => {
+    campaignLaunchService.batchSize = 2;
+
+    campaign = {
+      campaign_id: 'camp-1',
+      tenant_id: 'acme',
+      segment_id: 'seg-1',
+      status: 'DRAFT',
+      message_template: 'Hi {name}',
+      launch_lease_until: null,
+      segments: { segment_id: 'seg-1', rules: { field: 'total_orders', operator: 'gte', value: 0 } },
+    };
+    customers = customerIds.map((id) => ({ customer_id: id, email: `${id}@example.com`, name: id }));
+    messages = new Map();
+
+    const matches = (where) =>
+      Object.entries(where).every(([field, condition]) => {
+        if (field === 'OR') return condition.some(matches);
+        if (condition && condition.lt) return campaign[field] !== null && campaign[field] < condition.lt;
+        if (condition instanceof Date) return campaign[field] && campaign[field].getTime() === condition.getTime();
+        return campaign[field] === condition;
+      });
+
+    const campaigns = {
+      findUnique: async () => ({ ...campaign }),
+      updateMany: async ({ where, data }) => {
+        if (!matches(where)) return { count: 0 };
+        Object.assign(campaign, data);
+        return { count: 1 };
+      },
+    };
+
+    const communicationLog = {
+      createMany: async ({ data }) => {
+        const fresh = data.filter((row) => !messages.has(row.customer_id));
+        fresh.forEach((row) => messages.set(row.customer_id, row));
+        return { count: fresh.length };
+      },
+      count: async () => messages.size,
+    };
+
+    campaignDB.prisma.campaigns = campaigns;
+    campaignDB.prisma.communication_log = communicationLog;
+    campaignDB.prisma.customers_mv = {
+      findMany: async ({ where, take }) => {
+        const after = where.customer_id && where.customer_id.gt;
+        return customers.filter((customer) => !after || customer.customer_id > after).slice(0, take);
+      },
+    };
+    campaignDB.prisma.$transaction = async (callback) =>
+      callback({
+        campaigns,
+        communication_log: communicationLog,
+        campaign_delivery_summary: { upsert: async () => ({}) },
+        campaign_stats: { upsert: async () => ({}) },
+      });
+  });
+
+  it('reaches the whole audience when a customer of the previous page is deleted', async () => {
+    const findMany = campaignDB.prisma.customers_mv.findMany;
+    campaignDB.prisma.customers_mv.findMany = async (args) => {
+      const page = await findMany(args);
+      // The last customer of the first page disappears before the next page is read
+      customers = customers.filter((customer) => customer.customer_id !== 'c2');
+      return page;
+    };
+
+    const result = await campaignLaunchService.launchCampaign('acme', 'camp-1');
+
+    assert.equal(result.total_messages, 5);
+    assert.equal(campaign.status, 'RUNNING');
+    assert.equal(campaign.launch_lease_until, null);
+  });
+
+  it('returns 409 for a resume while another run holds the lease', async () => {
+    campaign.status = 'LAUNCHING';
+    campaign.launch_lease_until = new Date(Date.now() + 60000);
+
+    await assert.rejects(campaignLaunchService.launchCampaign('acme', 'camp-1'), {
+      statusCode: 409,
+      message: 'Campaign camp-1 is already being launched',
+    });
+    assert.equal(messages.size, 0);
+    assert.equal(campaign.status, 'LAUNCHING');
+  });
+
+  it('resumes a launch whose lease expired', async () => {
+    campaign.status = 'LAUNCHING';
+    campaign.launch_lease_until = new Date(Date.now() - 1000);
+    messages.set('c1', { customer_id: 'c1' });
+
+    const result = await campaignLaunchService.launchCampaign('acme', 'camp-1');
+
+    assert.equal(result.total_messages, 5);
+    assert.equal(campaign.status, 'RUNNING');
+  });
+
+  it('does not finish a launch whose lease was taken over by another run', async () => {
+    const findMany = campaignDB.prisma.customers_mv.findMany;
+    campaignDB.prisma.customers_mv.findMany = async (args) => {
+      const page = await findMany(args);
+      // Another run takes over after this one stalled past its lease
+      campaign.launch_lease_until = new Date(Date.now() + 120000);
+      return page;
+    };
+
+    await assert.rejects(campaignLaunchService.launchCampaign('acme', 'camp-1'), {
+      statusCode: 409,
+      message: 'Campaign camp-1 lost its launch lease to another run',
+    });
+    assert.equal(campaign.status, 'LAUNCHING');
+    assert.notEqual(campaign.launch_lease_until, null);
+  });
+
+  it('releases the lease of a failed run so it can be resumed at once', async () => {
+    campaignDB.prisma.communication_log.createMany = async () => {
+      throw new Error('connection reset');
+    };
+
+    await assert.rejects(campaignLaunchService.launchCampaign('acme', 'camp-1'), /connection reset/);
+    assert.equal(campaign.status, 'LAUNCHING');
+    assert.equal(campaign.launch_lease_until, null);
+  });
+});
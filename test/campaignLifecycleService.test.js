@@ -0,0 +1,170 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubDatabase } = require('./helpers/stubDatabase');
+
+const { campaignDB } = stubDatabase();
+const campaignLifecycleService = require('../services/Campaign/services/campaignLifecycleService');
+const { CAMPAIGN_STATUSES, HALTED_STATUSES } = campaignLifecycleService;
+
+describe('campaignLifecycleService transitions', () => {
+  it('maps legacy and lower-case statuses onto the lifecycle', () => {
+    assert.equal(campaignLifecycleService.normalizeStatus('ACTIVE'), 'DRAFT');
+    assert.equal(campaignLifecycleService.normalizeStatus('inactive'), 'DRAFT');
+    assert.equal(campaignLifecycleService.normalizeStatus(null), 'DRAFT');
+    assert.equal(campaignLifecycleService.normalizeStatus('paused'), 'PAUSED');
+  });
+
+  it('allows launching only through LAUNCHING', () => {
+    assert.equal(campaignLifecycleService.canTransition('DRAFT', 'LAUNCHING'), true);
+    assert.equal(campaignLifecycleService.canTransition('SCHEDULED', 'LAUNCHING'), true);
+    assert.equal(campaignLifecycleService.canTransition('ACTIVE', 'LAUNCHING'), true);
+    assert.equal(campaignLifecycleService.canTransition('DRAFT', 'RUNNING'), false);
+    assert.equal(campaignLifecycleService.canTransition('LAUNCHING', 'RUNNING'), true);
+    assert.equal(campaignLifecycleService.canTransition('LAUNCHING', 'CANCELLED'), false);
+  });
+
+  it('allows pausing, resuming and cancelling a running campaign', () => {
+    assert.equal(campaignLifecycleService.canTransition('RUNNING', 'PAUSED'), true);
+    assert.equal(campaignLifecycleService.canTransition('PAUSED', 'RUNNING'), true);
+    assert.equal(campaignLifecycleService.canTransition('PAUSED', 'CANCELLED'), true);
+    assert.equal(campaignLifecycleService.canTransition('PAUSED', 'COMPLETED'), false);
+  });
+
+  it('treats COMPLETED and CANCELLED as final', () => {
+    Object.values(CAMPAIGN_STATUSES).forEach((status) => {
+      assert.equal(campaignLifecycleService.canTransition('COMPLETED', status), false);
+      assert.equal(campaignLifecycleService.canTransition('CANCELLED', status), false);
+    });
+  });
+
+  it('holds back messages of launching, paused and cancelled campaigns', () => {
+    assert.deepEqual(HALTED_STATUSES, ['LAUNCHING', 'PAUSED', 'CANCELLED']);
+  });
+
+  it('rejects unknown statuses with 400 and disallowed transitions with 409', () => {
+    const campaign = { campaign_id: 'c1', status: 'COMPLETED' };
+
+    assert.throws(() => campaignLifecycleService.assertTransition(campaign, 'ARCHIVED'), {
+      statusCode: 400,
+    });
+    assert.throws(() => campaignLifecycleService.assertTransition(campaign, 'RUNNING'), {
+      statusCode: 409,
+      message: 'Campaign c1 cannot move from COMPLETED to RUNNING',
+    });
+  });
+});
+
+describe('campaignLifecycleService.transition', () => {
+  let campaign;
+  let updates;
+
+  beforeEach(() => {
+    campaign = { campaign_id: 'c1', tenant_id: 'acme', status: 'RUNNING' };
+    updates = [];
+
+    campaignDB.prisma.campaigns = {
+      findUnique: async ({ where }) =>
+        where.campaign_id === campaign.campaign_id && where.tenant_id === campaign.tenant_id
+          ? { ...campaign }
+          : null,
+      updateMany: async (args) => {
+        updates.push(args);
+        if (args.where.status !== campaign.status) return { count: 0 };
+        Object.assign(campaign, args.data);
+        return { count: 1 };
+      },
+    };
+  });
+
+  it('updates conditionally on the status read', async () => {
+    await campaignLifecycleService.transition('acme', 'c1', 'PAUSED');
+
+    assert.equal(campaign.status, 'PAUSED');
+    assert.deepEqual(updates[0].where, { campaign_id: 'c1', status: 'RUNNING' });
+  });
+
+  it('returns 409 when the status changed concurrently', async () => {
+    campaignDB.prisma.campaigns.updateMany = async () => ({ count: 0 });
+
+    await assert.rejects(campaignLifecycleService.transition('acme', 'c1', 'PAUSED'), {
+      statusCode: 409,
+      message: 'Campaign c1 changed status concurrently, please retry',
+    });
+  });
+
+  it('returns 404 for another tenant\'s campaign', async () => {
+    await assert.rejects(campaignLifecycleService.transition('other', 'c1', 'PAUSED'), {
+      statusCode: 404,
+    });
+  });
+
+  it('cancels pending messages and decrements the pending count when cancelling', async () => {
+    const summaryUpdates = [];
+
+    campaignDB.prisma.communication_log = {
+      updateMany: async ({ where, data }) => {
+        assert.deepEqual(where, { campaign_id: 'c1', status: 'PENDING' });
+        assert.deepEqual(data, { status: 'CANCELLED' });
+        return { count: 7 };
+      },
+    };
+    campaignDB.prisma.campaign_delivery_summary = {
+      updateMany: async (args) => {
+        summaryUpdates.push(args);
+        return { count: 1 };
+      },
+    };
+    campaignDB.prisma.$transaction = async (callback) => callback(campaignDB.prisma);
+
+    await campaignLifecycleService.cancelCampaign('acme', 'c1');
+
+    assert.equal(campaign.status, 'CANCELLED');
+    assert.ok(campaign.cancelled_at instanceof Date);
+    assert.deepEqual(summaryUpdates[0].data.pending_count, { decrement: 7 });
+  });
+
+  describe('resumeCampaign', () => {
+    let outstanding;
+    let transactions;
+
+    beforeEach(() => {
+      campaign.status = 'PAUSED';
+      outstanding = 0;
+      transactions = 0;
+
+      campaignDB.prisma.communication_log = {
+        count: async ({ where }) => {
+          assert.deepEqual(where, { campaign_id: 'c1', status: { in: ['PENDING', 'PROCESSING'] } });
+          return outstanding;
+        },
+      };
+      campaignDB.prisma.$transaction = async (callback) => {
+        transactions += 1;
+        return callback(campaignDB.prisma);
+      };
+    });
+
+    it('completes a campaign whose messages all finished while it was paused', async () => {
+      const resumed = await campaignLifecycleService.resumeCampaign('acme', 'c1');
+
+      assert.equal(transactions, 1);
+      assert.deepEqual(
+        updates.map((update) => [update.where.status, update.data.status]),
+        [
+          ['PAUSED', 'RUNNING'],
+          ['RUNNING', 'COMPLETED'],
+        ]
+      );
+      assert.equal(resumed.status, 'COMPLETED');
+    });
+
+    it('leaves a campaign with outstanding messages RUNNING', async () => {
+      outstanding = 3;
+
+      const resumed = await campaignLifecycleService.resumeCampaign('acme', 'c1');
+
+      assert.equal(resumed.status, 'RUNNING');
+      assert.equal(updates.length, 1);
+    });
+  });
+});
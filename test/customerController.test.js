@@ -0,0 +1,63 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubDatabase } = require('./helpers/stubDatabase');
+
+const { customerDB } = stubDatabase();
+const { updateCustomer } = require('../services/Customer/controllers/customer');
+
+const CUSTOMER_ID = '2b1f6a52-5a3e-4c57-9d8e-0d3c8f1b7a10';
+
+const request = (body) => ({
+  params: { id: CUSTOMER_ID },
+  body,
+  user: { tenantId: 'acme', email: 'ops@example.com' },
+  get: () => undefined,
+});
+
+const response = () => {
+  const res = { statusCode: 200, body: undefined };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+describe('updateCustomer', () => {
+  beforeEach(() => {
+    customerDB.prisma.customers = {
+      findUnique: async ({ where }) =>
+        where.customer_id ? { customer_id: CUSTOMER_ID, email: 'asha@example.com' } : null,
+    };
+  });
+
+  it('returns 409 when the email is taken by a concurrent update after the check', async () => {
+    customerDB.prisma.$transaction = async () => {
+      throw Object.assign(new Error('Unique constraint failed on the fields: (`tenant_id`,`email`)'), {
+        code: 'P2002',
+      });
+    };
+
+    const res = response();
+    await updateCustomer(request({ email: 'taken@example.com' }), res);
+
+    assert.equal(res.statusCode, 409);
+    assert.deepEqual(res.body, { success: false, message: 'Another customer already uses this email' });
+  });
+
+  it('returns 409 when the pre-check finds the email taken', async () => {
+    customerDB.prisma.customers.findUnique = async ({ where }) =>
+      where.customer_id
+        ? { customer_id: CUSTOMER_ID, email: 'asha@example.com' }
+        : { customer_id: 'someone-else' };
+
+    const res = response();
+    await updateCustomer(request({ email: 'taken@example.com' }), res);
+
+    assert.equal(res.statusCode, 409);
+  });
+});
@@ -0,0 +1,265 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubDatabase } = require('./helpers/stubDatabase');
+
+const { campaignDB } = stubDatabase();
+const customerMVConsumer = require('../services/Campaign/consumers/customer_mv_consumer');
+const { NonRetryableError, isRetryableError } = require('../shared/utils/errors');
+
+const upsertEvent = (data) => ({
+  eventType: 'customer_mv_upsert',
+  tenant_id: 'acme',
+  data: { customer_id: 'cust-1', name: 'Asha', email: 'Asha@Example.com', ...data },
+});
+
+describe('CustomerMVConsumer', () => {
+  let existing;
+  let updates;
+  let creates;
+
+  beforeEach(() => {
+    existing = null;
+    updates = [];
+    creates = [];
+
+    campaignDB.prisma.customers_mv = {
+      findUnique: async () => existing,
+      findFirst: async () => existing,
+      updateMany: async (args) => {
+        updates.push(args);
+        return { count: 1 };
+      },
+      update: async (args) => {
+        updates.push(args);
+        return { customer_id: args.where.customer_id };
+      },
+      create: async (args) => {
+        creates.push(args);
+        return { customer_id: args.data.customer_id };
+      },
+    };
+  });
+
+  describe('versioning', () => {
+    it('creates a customer it has not seen, storing the source version', async () => {
+      const result = await customerMVConsumer.upsertCustomerMV('acme', upsertEvent({ version: 3 }).data);
+
+      assert.deepEqual(result, { operation: 'created', customerId: 'cust-1' });
+      assert.equal(creates[0].data.source_version, 3);
+      assert.equal(creates[0].data.email, 'asha@example.com');
+    });
+
+    it('applies a newer version, guarded against a concurrent newer one', async () => {
+      existing = { customer_id: 'cust-1', source_version: 3, status: 'ACTIVE' };
+
+      const result = await customerMVConsumer.upsertCustomerMV('acme', upsertEvent({ version: 4 }).data);
+
+      assert.equal(result.operation, 'updated');
+      assert.deepEqual(updates[0].where, {
+        customer_id: 'cust-1',
+        tenant_id: 'acme',
+        AND: [
+          { OR: [{ status: null }, { status: { not: 'ERASED' } }] },
+          { OR: [{ source_version: null }, { source_version: { lt: 4 } }] },
+        ],
+      });
+      assert.equal(updates[0].data.source_version, 4);
+    });
+
+    it('skips an event whose version is not newer than the stored one', async () => {
+      existing = { customer_id: 'cust-1', source_version: 4, status: 'ACTIVE' };
+
+      const same = await customerMVConsumer.upsertCustomerMV('acme', upsertEvent({ version: 4 }).data);
+      const older = await customerMVConsumer.upsertCustomerMV('acme', upsertEvent({ version: 2 }).data);
+
+      assert.equal(same.operation, 'stale');
+      assert.equal(older.operation, 'stale');
+      assert.equal(updates.length, 0);
+    });
+
+    it('skips an unversioned event once a versioned one was applied', async () => {
+      existing = { customer_id: 'cust-1', source_version: 1, status: 'ACTIVE' };
+
+      const result = await customerMVConsumer.upsertCustomerMV('acme', upsertEvent({}).data);
+
+      assert.equal(result.operation, 'stale');
+    });
+
+    it('reports a stale event when a newer version wins the conditional update', async () => {
+      existing = { customer_id: 'cust-1', source_version: 3, status: 'ACTIVE' };
+      campaignDB.prisma.customers_mv.updateMany = async () => ({ count: 0 });
+
+      const result = await customerMVConsumer.upsertCustomerMV('acme', upsertEvent({ version: 4 }).data);
+
+      assert.equal(result.operation, 'stale');
+    });
+  });
+
+  describe('erasure', () => {
+    it('does not bring back an erased customer', async () => {
+      existing = { customer_id: 'cust-1', source_version: 2, status: 'ERASED' };
+
+      const result = await customerMVConsumer.upsertCustomerMV('acme', upsertEvent({ version: 9 }).data);
+
+      assert.deepEqual(result, { operation: 'skipped', customerId: 'cust-1' });
+      assert.equal(updates.length, 0);
+    });
+
+    it('cancels pending messages and anonymizes the customer', async () => {
+      const calls = [];
+      const tx = {
+        communication_log: {
+          updateMany: async (args) => {
+            calls.push(['communication_log', args]);
+            return { count: args.data.status ? 2 : 5 };
+          },
+        },
+        customers_mv: {
+          upsert: async (args) => {
+            calls.push(['customers_mv', args]);
+            return { customer_id: 'cust-1' };
+          },
+        },
+      };
+      campaignDB.prisma.$transaction = async (callback) => callback(tx);
+
+      await customerMVConsumer.processCustomerMVMessage({
+        eventType: 'customer_erased',
+        tenant_id: 'acme',
+        data: { customer_id: 'cust-1', version: 5 },
+      });
+
+      assert.deepEqual(calls[0][1], {
+        where: { tenant_id: 'acme', customer_id: 'cust-1', status: 'PENDING' },
+        data: { status: 'CANCELLED' },
+      });
+      assert.equal(calls[1][1].data.customer_email, 'erased@erased.invalid');
+      assert.equal(calls[1][1].data.message_text, '[erased]');
+      assert.equal(calls[2][0], 'customers_mv');
+      assert.deepEqual(calls[2][1].where, { customer_id: 'cust-1', tenant_id: 'acme' });
+      assert.deepEqual(
+        {
+          name: calls[2][1].update.name,
+          email: calls[2][1].update.email,
+          status: calls[2][1].update.status,
+          source_version: calls[2][1].update.source_version,
+        },
+        { name: null, email: null, status: 'ERASED', source_version: 5 }
+      );
+    });
+
+    describe('ordering against upserts', () => {
+      let rows;
+
+      beforeEach(() => {
+        rows = new Map();
+
+        const customersMV = {
+          findUnique: async ({ where }) => {
+            const row = rows.get(where.customer_id);
+            return row && row.tenant_id === where.tenant_id ? { ...row } : null;
+          },
+          create: async ({ data }) => {
+            if (rows.has(data.customer_id)) throw new Error('Unique constraint failed on customer_id');
+            rows.set(data.customer_id, { ...data });
+            return { ...data };
+          },
+          updateMany: async ({ where, data }) => {
+            const row = rows.get(where.customer_id);
+            const [notErased, olderVersion] = where.AND;
+            if (!row || !notErased.OR.some((filter) => filter.status === null
+              ? row.status === null
+              : row.status !== filter.status.not)) {
+              return { count: 0 };
+            }
+            if (!olderVersion.OR.some((filter) => filter.source_version === null
+              ? row.source_version === null
+              : row.source_version !== null && row.source_version < filter.source_version.lt)) {
+              return { count: 0 };
+            }
+            Object.assign(row, data);
+            return { count: 1 };
+          },
+          upsert: async ({ where, create, update }) => {
+            const row = rows.get(where.customer_id);
+            if (row) Object.assign(row, update);
+            else rows.set(create.customer_id, { ...create });
+            return rows.get(where.customer_id);
+          },
+        };
+
+        campaignDB.prisma.customers_mv = customersMV;
+        campaignDB.prisma.$transaction = async (callback) =>
+          callback({
+            communication_log: { updateMany: async () => ({ count: 0 }) },
+            customers_mv: customersMV,
+          });
+      });
+
+      const erase = (version) =>
+        customerMVConsumer.processCustomerMVMessage({
+          eventType: 'customer_erased',
+          tenant_id: 'acme',
+          data: { customer_id: 'cust-1', version },
+        });
+
+      it('leaves a tombstone for a customer erased before its first upsert arrives', async () => {
+        await erase(2);
+        const result = await customerMVConsumer.upsertCustomerMV('acme', upsertEvent({ version: 1 }).data);
+
+        assert.deepEqual(result, { operation: 'skipped', customerId: 'cust-1' });
+        assert.deepEqual(
+          { email: rows.get('cust-1').email, status: rows.get('cust-1').status, source_version: rows.get('cust-1').source_version },
+          { email: null, status: 'ERASED', source_version: 2 }
+        );
+      });
+
+      it('does not restore a customer erased between an upsert\'s read and its update', async () => {
+        await customerMVConsumer.upsertCustomerMV('acme', upsertEvent({ version: 1 }).data);
+
+        const findUnique = campaignDB.prisma.customers_mv.findUnique;
+        campaignDB.prisma.customers_mv.findUnique = async (args) => {
+          const row = await findUnique(args);
+          await erase(2);
+          return row;
+        };
+
+        const result = await customerMVConsumer.upsertCustomerMV('acme', upsertEvent({ version: 3 }).data);
+
+        assert.equal(result.operation, 'stale');
+        assert.equal(rows.get('cust-1').status, 'ERASED');
+        assert.equal(rows.get('cust-1').email, null);
+      });
+    });
+  });
+
+  describe('validation', () => {
+    it('fails malformed messages without retrying them', async () => {
+      await assert.rejects(
+        customerMVConsumer.processCustomerMVMessage({ eventType: 'customer_mv_upsert', data: {} }),
+        NonRetryableError
+      );
+      await assert.rejects(
+        customerMVConsumer.processCustomerMVMessage({ eventType: 'customer_erased', tenant_id: 'acme', data: {} }),
+        NonRetryableError
+      );
+      await assert.rejects(
+        customerMVConsumer.processCustomerMVMessage(upsertEvent({ email: undefined })),
+        NonRetryableError
+      );
+    });
+
+    it('keeps the database error as the cause, so data errors are not retried', async () => {
+      const dataError = Object.assign(new Error('Value too long for column'), { code: 'P2000' });
+      campaignDB.prisma.customers_mv.create = async () => {
+        throw dataError;
+      };
+
+      await assert.rejects(customerMVConsumer.upsertCustomerMV('acme', upsertEvent({ version: 1 }).data), (error) => {
+        assert.equal(error.cause, dataError);
+        assert.equal(isRetryableError(error), false);
+        return true;
+      });
+    });
+  });
+});
@@ -0,0 +1,87 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const rabbitMQ = require('../shared/utils/rabbitmq');
+const deadLetterService = require('../services/Customer/services/deadLetterService');
+
+const deadLetter = (messageId, tenantId) => ({
+  content: Buffer.from(JSON.stringify({ tenant_id: tenantId, data: { email: `${messageId}@example.com` } })),
+  properties: {
+    messageId,
+    headers: { 'x-original-exchange': 'data_ingestion', 'x-original-routing-key': 'customer' },
+  },
+});
+
+// In-memory queue with basic.get semantics: fetched messages are held unacked until
+// acked (removed) or nacked with requeue (returned to their original position)
+const fakeChannel = (queue) => {
+  const positions = new Map(queue.map((msg, index) => [msg, index]));
+  const channel = {
+    queue: [...queue],
+    published: [],
+    closed: false,
+    checkQueue: async () => ({ messageCount: channel.queue.length }),
+    get: async () => channel.queue.shift() || false,
+    ack: () => {},
+    nack: (msg, allUpTo, requeue) => {
+      assert.equal(requeue, true);
+      channel.queue.push(msg);
+      channel.queue.sort((a, b) => positions.get(a) - positions.get(b));
+    },
+    publish: (...args) => channel.published.push(args),
+    sendToQueue: (...args) => channel.published.push(args),
+    waitForConfirms: async () => {},
+    on: () => {},
+    close: async () => {
+      channel.closed = true;
+    },
+  };
+  return channel;
+};
+
+describe('deadLetterService.listDeadLetters', () => {
+  let channel;
+
+  beforeEach(() => {
+    mock.restoreAll();
+    channel = fakeChannel([
+      deadLetter('m1', 'other'),
+      deadLetter('m2', 'acme'),
+      deadLetter('m3', 'other'),
+      deadLetter('m4', 'acme'),
+    ]);
+    mock.method(rabbitMQ, 'getDeadLetterQueue', (queue) => `${queue}.dlq`);
+    mock.method(rabbitMQ, 'createConfirmChannel', async () => channel);
+  });
+
+  it('lists only the tenant\'s messages', async () => {
+    const result = await deadLetterService.listDeadLetters('customer_ingestion_queue', { tenantId: 'acme', limit: 20 });
+
+    assert.deepEqual(
+      result.messages.map((msg) => msg.message_id),
+      ['m2', 'm4']
+    );
+    assert.equal(result.message_count, 4);
+  });
+
+  it('leaves the queue as it was: nothing republished, acked or reordered', async () => {
+    const ack = mock.method(channel, 'ack');
+
+    await deadLetterService.listDeadLetters('customer_ingestion_queue', { tenantId: 'acme', limit: 1 });
+
+    assert.equal(channel.published.length, 0);
+    assert.equal(ack.mock.callCount(), 0);
+    assert.deepEqual(
+      channel.queue.map((msg) => msg.properties.messageId),
+      ['m1', 'm2', 'm3', 'm4']
+    );
+    assert.equal(channel.closed, true);
+  });
+
+  it('does not scan another tenant\'s message twice', async () => {
+    const get = mock.method(channel, 'get');
+
+    await deadLetterService.listDeadLetters('customer_ingestion_queue', { tenantId: 'nobody', limit: 20 });
+
+    assert.equal(get.mock.callCount(), 4);
+  });
+});
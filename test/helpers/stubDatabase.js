@@ -0,0 +1,27 @@
+const path = require('path');
+
+const databasePath = path.resolve(__dirname, '../../shared/database.js');
+
+/**
+ * Replaces shared/database with in-memory Prisma stand-ins, so services load
+ * without generated clients or a database. Call it before requiring a service;
+ * tests then assign the model methods they need on the returned clients.
+ * @returns {{ customerDB: { prisma: Object }, campaignDB: { prisma: Object } }}
+ */
+const stubDatabase = () => {
+  const database = {
+    customerDB: { prisma: {} },
+    campaignDB: { prisma: {} },
+  };
+
+  require.cache[databasePath] = {
+    id: databasePath,
+    filename: databasePath,
+    loaded: true,
+    exports: database,
+  };
+
+  return database;
+};
+
+module.exports = { stubDatabase };
@@ -0,0 +1,137 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubDatabase } = require('./helpers/stubDatabase');
+
+const { customerDB } = stubDatabase();
+const idempotencyService = require('../services/Customer/services/idempotencyService');
+const { OPERATIONS } = idempotencyService;
+
+const rowId = ({ tenant_id, operation, idempotency_key }) => `${tenant_id}|${operation}|${idempotency_key}`;
+
+describe('idempotencyService.reserveKey', () => {
+  let rows;
+
+  beforeEach(() => {
+    rows = new Map();
+
+    customerDB.prisma.idempotency_keys = {
+      createMany: async ({ data }) => {
+        const id = rowId(data[0]);
+        if (rows.has(id)) return { count: 0 };
+        rows.set(id, { job_id: null, created_at: new Date(), ...data[0] });
+        return { count: 1 };
+      },
+      findUnique: async ({ where }) => rows.get(rowId(where.tenant_id_operation_idempotency_key)) || null,
+      updateMany: async ({ where, data }) => {
+        const row = rows.get(rowId(where));
+        if (!row) return { count: 0 };
+        if (where.job_id === null && row.job_id !== null) return { count: 0 };
+        if (where.created_at && !(row.created_at < where.created_at.lt)) return { count: 0 };
+        Object.assign(row, data);
+        return { count: 1 };
+      },
+      deleteMany: async ({ where }) => {
+        const row = rows.get(rowId(where));
+        if (!row || row.job_id !== null) return { count: 0 };
+        rows.delete(rowId(where));
+        return { count: 1 };
+      },
+    };
+  });
+
+  it('does nothing without a key', async () => {
+    assert.equal(await idempotencyService.reserveKey('acme', OPERATIONS.CREATE_ORDER, undefined, {}), null);
+    assert.equal(rows.size, 0);
+  });
+
+  it('returns the first job to a retry of the same request, whatever its key order', async () => {
+    const first = await idempotencyService.reserveKey('acme', OPERATIONS.CREATE_ORDER, 'k1', { a: 1, b: 2 });
+    await idempotencyService.completeKey('acme', OPERATIONS.CREATE_ORDER, 'k1', 'job-1');
+    const retry = await idempotencyService.reserveKey('acme', OPERATIONS.CREATE_ORDER, 'k1', { b: 2, a: 1 });
+
+    assert.deepEqual(first, { replayJobId: null });
+    assert.deepEqual(retry, { replayJobId: 'job-1' });
+  });
+
+  it('rejects a reused key with a different payload with 422', async () => {
+    await idempotencyService.reserveKey('acme', OPERATIONS.CREATE_ORDER, 'k1', { order_amount: 10 });
+    await idempotencyService.completeKey('acme', OPERATIONS.CREATE_ORDER, 'k1', 'job-1');
+
+    await assert.rejects(
+      idempotencyService.reserveKey('acme', OPERATIONS.CREATE_ORDER, 'k1', { order_amount: 20 }),
+      { statusCode: 422 }
+    );
+  });
+
+  it('scopes a key per operation and tenant', async () => {
+    await idempotencyService.reserveKey('acme', OPERATIONS.CREATE_ORDER, 'k1', { order_amount: 10 });
+
+    assert.deepEqual(
+      await idempotencyService.reserveKey('acme', OPERATIONS.CHANGE_ORDER_STATUS, 'k1', { order_id: 'o1' }),
+      { replayJobId: null }
+    );
+    assert.deepEqual(
+      await idempotencyService.reserveKey('other', OPERATIONS.CREATE_ORDER, 'k1', { order_amount: 20 }),
+      { replayJobId: null }
+    );
+  });
+
+  it('returns 409 while the first request is in progress and takes over an abandoned one', async () => {
+    await idempotencyService.reserveKey('acme', OPERATIONS.CREATE_CUSTOMER, 'k1', { email: 'a@b.c' });
+
+    await assert.rejects(
+      idempotencyService.reserveKey('acme', OPERATIONS.CREATE_CUSTOMER, 'k1', { email: 'a@b.c' }),
+      { statusCode: 409 }
+    );
+
+    rows.get(rowId({ tenant_id: 'acme', operation: OPERATIONS.CREATE_CUSTOMER, idempotency_key: 'k1' }))
+      .created_at = new Date(Date.now() - idempotencyService.staleReservationAfter - 1000);
+
+    assert.deepEqual(
+      await idempotencyService.reserveKey('acme', OPERATIONS.CREATE_CUSTOMER, 'k1', { email: 'a@b.c' }),
+      { replayJobId: null }
+    );
+  });
+
+  it('frees a key whose request failed, but not a completed one', async () => {
+    await idempotencyService.reserveKey('acme', OPERATIONS.CREATE_ORDER, 'k1', {});
+    await idempotencyService.releaseKey('acme', OPERATIONS.CREATE_ORDER, 'k1');
+    assert.equal(rows.size, 0);
+
+    await idempotencyService.reserveKey('acme', OPERATIONS.CREATE_ORDER, 'k2', {});
+    await idempotencyService.completeKey('acme', OPERATIONS.CREATE_ORDER, 'k2', 'job-2');
+    await idempotencyService.releaseKey('acme', OPERATIONS.CREATE_ORDER, 'k2');
+    assert.equal(rows.size, 1);
+  });
+});
+
+describe('idempotencyService message keys', () => {
+  it('prefers the client key and falls back to the generated message id', () => {
+    const options = idempotencyService.getPublishOptions('client-key');
+
+    assert.equal(idempotencyService.getMessageKey({ properties: options }), 'client-key');
+    assert.equal(idempotencyService.getMessageKey({ properties: { messageId: 'generated-1', headers: {} } }), 'generated-1');
+    assert.equal(idempotencyService.getMessageKey({ properties: { headers: {} } }), undefined);
+  });
+
+  it('claims a key once per consumer and operation', async () => {
+    const claimed = new Set();
+    const client = {
+      processed_messages: {
+        createMany: async ({ data, skipDuplicates }) => {
+          assert.equal(skipDuplicates, true);
+          const id = `${data[0].consumer}|${data[0].tenant_id}|${data[0].message_id}`;
+          if (claimed.has(id)) return { count: 0 };
+          claimed.add(id);
+          return { count: 1 };
+        },
+      },
+    };
+
+    const claim = (operation) => idempotencyService.claimMessage('order_consumer', operation, 'acme', 'k1', client);
+
+    assert.equal(await claim('order_data_received'), true);
+    assert.equal(await claim('order_data_received'), false);
+    assert.equal(await claim('order_status_changed'), true);
+  });
+});
@@ -0,0 +1,72 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubDatabase } = require('./helpers/stubDatabase');
+
+const { customerDB } = stubDatabase();
+const rabbitMQ = require('../shared/utils/rabbitmq');
+const importService = require('../services/Customer/services/importService');
+const ingestionJobService = require('../services/Customer/services/ingestionJobService');
+
+const job = { job_id: 'job-1', tenant_id: 'acme', entity_type: 'customer' };
+const rows = (count) =>
+  Array.from({ length: count }, (value, index) => ({ row: index + 2, data: { email: `c${index}@example.com` } }));
+
+describe('importService.publishRows', () => {
+  beforeEach(() => {
+    mock.restoreAll();
+    importService.chunkSize = 3;
+
+    mock.method(rabbitMQ, 'ensureConnection', async () => true);
+    mock.method(rabbitMQ, 'publishMessage', async () => true);
+    mock.method(ingestionJobService, 'updatePublishedRows', async () => {});
+    mock.method(ingestionJobService, 'markPublished', async () => {});
+    mock.method(ingestionJobService, 'markFailed', async () => {});
+  });
+
+  it('publishes every row and reports progress per chunk', async () => {
+    await importService.publishRows(job, rows(5));
+
+    assert.equal(rabbitMQ.publishMessage.mock.callCount(), 5);
+    assert.deepEqual(
+      ingestionJobService.updatePublishedRows.mock.calls.map((call) => call.arguments[1]),
+      [3, 5]
+    );
+    assert.deepEqual(ingestionJobService.markPublished.mock.calls[0].arguments, ['job-1', 5]);
+  });
+
+  it('counts the confirmed rows of a chunk in which some rows failed', async () => {
+    rabbitMQ.publishMessage.mock.mockImplementation(async (exchange, routingKey, message) => {
+      if (message.row === 6) throw new Error('Broker did not confirm message');
+    });
+
+    await assert.rejects(importService.publishRows(job, rows(7)), /1 rows failed to publish \(rows 6\)/);
+
+    // Rows 2-4 in the first chunk, rows 5 and 7 of the second; the third chunk is not published
+    assert.equal(rabbitMQ.publishMessage.mock.callCount(), 6);
+    const [jobId, error, publishedRows] = ingestionJobService.markFailed.mock.calls[0].arguments;
+    assert.equal(jobId, 'job-1');
+    assert.equal(publishedRows, 5);
+    assert.equal(error.cause.message, 'Broker did not confirm message');
+    assert.equal(ingestionJobService.markPublished.mock.callCount(), 0);
+  });
+});
+
+describe('importService.rejectUnknownCustomers', () => {
+  it('records the row of an unknown customer without the email', async () => {
+    customerDB.prisma.customers = {
+      findMany: async () => [{ email: 'known@example.com' }],
+    };
+    const accepted = [
+      { row: 2, data: { customer_email: 'known@example.com' } },
+      { row: 3, data: { customer_email: 'unknown@example.com' } },
+    ];
+    const rejected = [];
+
+    await importService.rejectUnknownCustomers('acme', accepted, rejected);
+
+    assert.deepEqual(rejected, [
+      { row: 3, errors: [{ field: 'customer_email', message: 'No customer exists with this customer_email' }] },
+    ]);
+    assert.ok(!JSON.stringify(rejected).includes('unknown@example.com'));
+  });
+});
@@ -0,0 +1,96 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubDatabase } = require('./helpers/stubDatabase');
+
+const { customerDB } = stubDatabase();
+const orderConsumer = require('../services/Customer/consumers/order_consumer');
+const ingestionJobService = require('../services/Customer/services/ingestionJobService');
+const outboxService = require('../services/Customer/services/outboxService');
+const customerStatsService = require('../services/Customer/services/customerStatsService');
+const orderStatusService = require('../services/Customer/services/orderStatusService');
+
+const orderEvent = {
+  eventType: 'order_data_received',
+  tenant_id: 'acme',
+  job_id: 'job-1',
+  data: { customer_email: 'asha@example.com', order_amount: 250 },
+};
+
+// amqplib message as published without an Idempotency-Key
+const delivery = (messageId) => ({ properties: { messageId, headers: {} } });
+
+describe('OrderConsumer redelivery', () => {
+  let claimed;
+  let ordersCreated;
+
+  beforeEach(() => {
+    mock.restoreAll();
+    claimed = new Set();
+    ordersCreated = 0;
+
+    const tx = {
+      processed_messages: {
+        createMany: async ({ data }) => {
+          const id = `${data[0].consumer}|${data[0].tenant_id}|${data[0].message_id}`;
+          if (claimed.has(id)) return { count: 0 };
+          claimed.add(id);
+          return { count: 1 };
+        },
+      },
+      customers: {
+        findUnique: async () => ({ customer_id: 'cust-1', email: 'asha@example.com' }),
+      },
+      orders: {
+        create: async ({ data }) => {
+          ordersCreated += 1;
+          return { order_id: `order-${ordersCreated}`, ...data };
+        },
+      },
+    };
+    customerDB.prisma.$transaction = async (callback) => callback(tx);
+
+    mock.method(customerStatsService, 'applyOrderCreated', async () => ({ customer_id: 'cust-1' }));
+    mock.method(outboxService, 'recordCustomerMVUpsert', async () => {});
+    mock.method(orderStatusService, 'applyStatusChange', async () => ({ previousStatus: 'PENDING' }));
+    mock.method(ingestionJobService, 'recordSuccess', async () => {});
+    mock.method(ingestionJobService, 'recordDuplicate', async () => {});
+  });
+
+  it('applies a keyless order once when the broker redelivers it', async () => {
+    await orderConsumer.processOrderMessage(orderEvent, delivery('generated-1'));
+    await orderConsumer.processOrderMessage(orderEvent, delivery('generated-1'));
+
+    assert.equal(ordersCreated, 1);
+    assert.equal(customerStatsService.applyOrderCreated.mock.callCount(), 1);
+    assert.equal(outboxService.recordCustomerMVUpsert.mock.callCount(), 1);
+    assert.equal(ingestionJobService.recordSuccess.mock.callCount(), 1);
+    assert.equal(ingestionJobService.recordDuplicate.mock.callCount(), 1);
+  });
+
+  it('applies separately published messages with distinct message ids', async () => {
+    await orderConsumer.processOrderMessage(orderEvent, delivery('generated-1'));
+    await orderConsumer.processOrderMessage(orderEvent, delivery('generated-2'));
+
+    assert.equal(ordersCreated, 2);
+    assert.equal(customerStatsService.applyOrderCreated.mock.callCount(), 2);
+  });
+
+  it('does not drop a status change that reuses the key of an order', async () => {
+    const keyed = { properties: { messageId: 'client-key', headers: { 'x-idempotency-key': 'client-key' } } };
+
+    await orderConsumer.processOrderMessage(orderEvent, keyed);
+    await orderConsumer.processOrderMessage(
+      {
+        eventType: 'order_status_changed',
+        tenant_id: 'acme',
+        job_id: 'job-2',
+        data: { order_id: 'order-1', order_status: 'CANCELLED' },
+      },
+      keyed
+    );
+
+    assert.equal(ordersCreated, 1);
+    assert.equal(orderStatusService.applyStatusChange.mock.callCount(), 1);
+    assert.equal(ingestionJobService.recordDuplicate.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,117 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubDatabase } = require('./helpers/stubDatabase');
+
+const { customerDB } = stubDatabase();
+const rabbitMQ = require('../shared/utils/rabbitmq');
+const outboxRelay = require('../services/Customer/services/outboxRelay');
+
+const event = (id, attempts = 0) => ({
+  id,
+  tenant_id: 'acme',
+  event_type: 'customer_mv_upsert',
+  entity_id: `cust-${id}`,
+  payload: { customer_id: `cust-${id}` },
+  attempts,
+  created_at: new Date('2024-01-01T00:00:00Z'),
+});
+
+describe('outboxRelay.relayBatch', () => {
+  let claimed;
+  let updates;
+  let transactions;
+
+  beforeEach(() => {
+    mock.restoreAll();
+    claimed = [];
+    updates = [];
+    transactions = 0;
+
+    customerDB.prisma.$queryRaw = async () => claimed;
+    customerDB.prisma.$transaction = async () => {
+      transactions += 1;
+      throw new Error('relayBatch must not publish inside a transaction');
+    };
+    customerDB.prisma.outbox_events = {
+      updateMany: async (args) => {
+        updates.push(args);
+        return { count: 1 };
+      },
+    };
+
+    mock.method(rabbitMQ, 'isConnectionActive', () => true);
+  });
+
+  const updatesOf = (id) => updates.filter((update) => update.where.id === id).map((update) => update.data);
+
+  it('marks each event published as soon as it is confirmed', async () => {
+    claimed = [event(2), event(1)];
+    const published = [];
+    mock.method(rabbitMQ, 'publishMessage', async (exchange, routingKey, message, options) => {
+      published.push(options.messageId);
+      // The earlier event is already marked when the next one is published
+      if (published.length === 2) {
+        assert.equal(updatesOf(1)[0].published, true);
+      }
+    });
+
+    const relayed = await outboxRelay.relayBatch();
+
+    assert.equal(relayed, 2);
+    assert.equal(transactions, 0);
+    assert.deepEqual(published, ['outbox-1', 'outbox-2']);
+    assert.equal(updatesOf(2)[0].published, true);
+  });
+
+  it('retries a failing event later without holding back the ones after it', async () => {
+    claimed = [event(1), event(2)];
+    mock.method(rabbitMQ, 'publishMessage', async (exchange, routingKey, message) => {
+      if (message.outbox_id === 1) throw new Error('Message returned as unroutable');
+    });
+
+    const before = Date.now();
+    const relayed = await outboxRelay.relayBatch();
+
+    assert.equal(relayed, 1);
+    const [failure] = updatesOf(1);
+    assert.equal(failure.attempts, 1);
+    assert.equal(failure.last_error, 'Message returned as unroutable');
+    assert.equal(failure.parked_at, null);
+    assert.ok(failure.next_attempt_at.getTime() >= before + outboxRelay.retryDelay);
+    assert.equal(updatesOf(2)[0].published, true);
+  });
+
+  it('parks an event once it has failed maxAttempts times', async () => {
+    claimed = [event(1, outboxRelay.maxAttempts - 1)];
+    mock.method(rabbitMQ, 'publishMessage', async () => {
+      throw new Error('Message returned as unroutable');
+    });
+
+    await outboxRelay.relayBatch();
+
+    const [failure] = updatesOf(1);
+    assert.equal(failure.attempts, outboxRelay.maxAttempts);
+    assert.ok(failure.parked_at instanceof Date);
+    assert.equal(failure.next_attempt_at, null);
+  });
+
+  it('leaves the batch for the next poll without counting attempts while the broker is down', async () => {
+    claimed = [event(1), event(2), event(3)];
+    mock.method(rabbitMQ, 'publishMessage', async (exchange, routingKey, message) => {
+      if (message.outbox_id === 2) {
+        rabbitMQ.isConnectionActive.mock.mockImplementation(() => false);
+        throw new Error('Connection closed');
+      }
+    });
+
+    const relayed = await outboxRelay.relayBatch();
+
+    assert.equal(relayed, 1);
+    assert.equal(rabbitMQ.publishMessage.mock.callCount(), 2);
+    assert.deepEqual(updates[1], {
+      where: { id: { in: [2, 3] }, published: false },
+      data: { next_attempt_at: null },
+    });
+    assert.ok(updates.every((update) => update.data.attempts === undefined));
+  });
+});
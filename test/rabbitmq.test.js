@@ -0,0 +1,66 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const rabbitMQ = require('../shared/utils/rabbitmq');
+
+describe('rabbitMQ.publishMessage returns', () => {
+  let published;
+
+  beforeEach(() => {
+    published = [];
+    rabbitMQ.isConnected = true;
+    rabbitMQ.channel = {
+      // Confirms arrive asynchronously, after any basic.return for the same message
+      publish: (exchange, routingKey, content, options, callback) => {
+        published.push({ routingKey, options, callback });
+        return true;
+      },
+    };
+  });
+
+  afterEach(() => {
+    rabbitMQ.isConnected = false;
+    rabbitMQ.channel = null;
+    rabbitMQ.pendingReturns.clear();
+  });
+
+  const confirmAll = () => published.forEach(({ callback }) => callback(null));
+
+  it('fails only the returned publish when two share a client messageId', async () => {
+    const options = { messageId: 'client-key' };
+    const routed = rabbitMQ.publishMessage('data_ingestion', 'order', { n: 1 }, options);
+    const unroutable = rabbitMQ.publishMessage('data_ingestion', 'nowhere', { n: 2 }, options);
+
+    const returned = published[1];
+    rabbitMQ.handleReturnedMessage({
+      fields: { exchange: 'data_ingestion', routingKey: 'nowhere', replyText: 'NO_ROUTE' },
+      properties: returned.options,
+    });
+    confirmAll();
+
+    assert.equal(await routed, true);
+    await assert.rejects(unroutable, /is unroutable/);
+    assert.equal(rabbitMQ.pendingReturns.size, 0);
+  });
+
+  it('sets a distinct publish id per publish without touching the caller\'s headers', async () => {
+    const headers = { 'x-idempotency-key': 'client-key' };
+    const first = rabbitMQ.publishMessage('data_ingestion', 'order', {}, { messageId: 'client-key', headers });
+    const second = rabbitMQ.publishMessage('data_ingestion', 'order', {}, { messageId: 'client-key', headers });
+    confirmAll();
+    await Promise.all([first, second]);
+
+    const [a, b] = published.map(({ options }) => options.headers['x-publish-id']);
+    assert.ok(a && b && a !== b);
+    assert.equal(published[0].options.headers['x-idempotency-key'], 'client-key');
+    assert.deepEqual(headers, { 'x-idempotency-key': 'client-key' });
+  });
+
+  it('generates a unique message id when the caller sets none', async () => {
+    const first = rabbitMQ.publishMessage('data_ingestion', 'order', {});
+    const second = rabbitMQ.publishMessage('data_ingestion', 'order', {});
+    confirmAll();
+    await Promise.all([first, second]);
+
+    assert.notEqual(published[0].options.messageId, published[1].options.messageId);
+  });
+});
@@ -0,0 +1,129 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubDatabase } = require('./helpers/stubDatabase');
+
+stubDatabase();
+const segmentRuleEngine = require('../services/Campaign/services/segmentRuleEngine');
+
+describe('segmentRuleEngine.validateRules', () => {
+  it('accepts nested groups of valid conditions', () => {
+    const errors = segmentRuleEngine.validateRules({
+      operator: 'AND',
+      conditions: [
+        { field: 'total_spend', operator: 'gte', value: 1000 },
+        {
+          operator: 'OR',
+          conditions: [
+            { field: 'status', operator: 'in', value: ['active', 'vip'] },
+            { field: 'last_order_at', operator: 'between', value: ['2024-01-01', '2024-12-31'] },
+          ],
+        },
+      ],
+    });
+
+    assert.deepEqual(errors, []);
+  });
+
+  it('reports unknown fields and operators with their path', () => {
+    const errors = segmentRuleEngine.validateRules({
+      operator: 'AND',
+      conditions: [
+        { field: 'phone', operator: 'eq', value: '123' },
+        { field: 'status', operator: 'gt', value: 'ACTIVE' },
+      ],
+    });
+
+    assert.deepEqual(
+      errors.map((error) => error.field),
+      ['rules.conditions.0.field', 'rules.conditions.1.operator']
+    );
+  });
+
+  it('rejects values of the wrong type', () => {
+    const errors = segmentRuleEngine.validateRules({ field: 'total_visits', operator: 'gt', value: '5' });
+
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].field, 'rules.value');
+  });
+
+  it('requires a [min, max] pair for between', () => {
+    const errors = segmentRuleEngine.validateRules({ field: 'total_spend', operator: 'between', value: [1] });
+
+    assert.equal(errors[0].message, 'Operator "between" requires a [min, max] array');
+  });
+
+  it('rejects empty groups, unknown group operators and deep nesting', () => {
+    assert.equal(segmentRuleEngine.validateRules({ operator: 'AND', conditions: [] }).length, 1);
+    assert.equal(
+      segmentRuleEngine.validateRules({
+        operator: 'XOR',
+        conditions: [{ field: 'total_orders', operator: 'eq', value: 1 }],
+      })[0].field,
+      'rules.operator'
+    );
+
+    let rules = { field: 'total_orders', operator: 'eq', value: 1 };
+    for (let depth = 0; depth < segmentRuleEngine.maxDepth; depth += 1) {
+      rules = { operator: 'AND', conditions: [rules] };
+    }
+    assert.match(segmentRuleEngine.validateRules(rules)[0].message, /nested at most/);
+  });
+
+  it('limits the number of conditions', () => {
+    const conditions = Array.from({ length: segmentRuleEngine.maxConditions + 1 }, () => ({
+      field: 'total_orders',
+      operator: 'gt',
+      value: 0,
+    }));
+
+    const errors = segmentRuleEngine.validateRules({ operator: 'OR', conditions });
+
+    assert.equal(errors.length, 1);
+    assert.match(errors[0].message, /at most 50 conditions/);
+  });
+});
+
+describe('segmentRuleEngine.buildAudienceWhere', () => {
+  it('compiles a rule tree into a tenant-scoped Prisma filter', () => {
+    const where = segmentRuleEngine.buildAudienceWhere('acme', {
+      operator: 'or',
+      conditions: [
+        { field: 'total_spend', operator: 'between', value: [100, 500] },
+        { field: 'status', operator: 'neq', value: 'inactive' },
+        { field: 'email', operator: 'in', value: ['A@Example.com'] },
+        { field: 'name', operator: 'contains', value: 'an' },
+        { field: 'last_order_at', operator: 'is_null' },
+        { field: 'total_orders', operator: 'not_in', value: [0] },
+      ],
+    });
+
+    assert.deepEqual(where, {
+      AND: [
+        { tenant_id: 'acme' },
+        {
+          OR: [
+            { total_spend: { gte: 100, lte: 500 } },
+            { status: { not: 'INACTIVE' } },
+            { email: { in: ['a@example.com'] } },
+            { name: { contains: 'an', mode: 'insensitive' } },
+            { last_order_at: null },
+            { total_orders: { notIn: [0] } },
+          ],
+        },
+      ],
+    });
+  });
+
+  it('converts date values to Date objects', () => {
+    const where = segmentRuleEngine.buildWhereClause({ field: 'last_order_at', operator: 'gte', value: '2024-06-01' });
+
+    assert.deepEqual(where, { last_order_at: { gte: new Date('2024-06-01') } });
+  });
+
+  it('throws on invalid rules', () => {
+    assert.throws(
+      () => segmentRuleEngine.buildWhereClause({ field: 'phone', operator: 'eq', value: '1' }),
+      /Invalid segment rules: rules.field/
+    );
+  });
+});
@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const templateRenderer = require('../services/Campaign/services/templateRenderer');
+const { formatCurrency, formatDate } = require('../shared/utils/formatters');
+
+describe('templateRenderer.validate', () => {
+  it('accepts known fields with defaults and matching formats', () => {
+    assert.deepEqual(
+      templateRenderer.validate('Hi {name|there}, you spent {total_spend:currency} by {last_order_at:date}'),
+      []
+    );
+  });
+
+  it('requires a non-empty template', () => {
+    assert.deepEqual(templateRenderer.validate('  '), [
+      { field: 'message_template', message: 'Message template is required' },
+    ]);
+  });
+
+  it('reports malformed placeholders, unknown fields and mismatched formats', () => {
+    const errors = templateRenderer.validate('{first name} {phone} {total_visits:date} {name:upper}');
+
+    assert.deepEqual(
+      errors.map((error) => error.message),
+      [
+        'Malformed placeholder {first name}. Use {field}, {field|default} or {field:format}',
+        `Unknown placeholder field "phone". Allowed fields: ${templateRenderer.getSupportedFields().join(', ')}`,
+        'Format "date" cannot be applied to total_visits',
+        'Unknown format "upper" in {name:upper}. Allowed formats: currency, number, date',
+      ]
+    );
+    assert.ok(errors.every((error) => error.field === 'message_template'));
+  });
+});
+
+describe('templateRenderer.render', () => {
+  it('substitutes customer fields', () => {
+    assert.equal(
+      templateRenderer.render('Hello {name}, {total_orders} orders', { name: 'Asha', total_orders: 3 }),
+      'Hello Asha, 3 orders'
+    );
+  });
+
+  it('falls back to the default, or to an empty string, for missing values', () => {
+    const customer = { name: '', status: null };
+
+    assert.equal(templateRenderer.render('Hi {name|there}!', customer), 'Hi there!');
+    assert.equal(templateRenderer.render('[{status}]', customer), '[]');
+  });
+
+  it('formats money and dates by default and honours explicit formats', () => {
+    const lastOrderAt = new Date('2024-03-05T10:30:00Z');
+    const customer = { total_spend: '1234.5', total_visits: 12000, last_order_at: lastOrderAt };
+
+    assert.equal(templateRenderer.render('{total_spend}', customer), formatCurrency(1234.5));
+    assert.equal(templateRenderer.render('{total_spend:number}', customer), '1,234.5');
+    assert.equal(templateRenderer.render('{total_visits:currency}', customer), formatCurrency(12000));
+    assert.equal(templateRenderer.render('{last_order_at}', customer), formatDate(lastOrderAt));
+  });
+
+  it('leaves unknown and malformed placeholders untouched', () => {
+    assert.equal(
+      templateRenderer.render('{phone} {first name}', { phone: '123' }),
+      '{phone} {first name}'
+    );
+  });
+});